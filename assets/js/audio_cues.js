@@ -0,0 +1,95 @@
+// Short sound effects for game events, so you can hear what's happening
+// while your eyes are on the pool. They're synthesized with Web Audio
+// oscillators, so there are no sound files to fetch.
+
+const STORAGE_KEY = 'cutthroat_anagrams_audio_settings';
+
+// While the mic is listening, cues play this much quieter so the speech
+// recognizer doesn't pick them up as someone talking
+const DUCKED_GAIN = 0.15;
+
+// Each cue is an oscillator wave and its notes: [frequency Hz, start s, length s]
+const CUES = {
+  flip: { wave: 'triangle', notes: [[660, 0, 0.06]] },
+  claim: { wave: 'sine', notes: [[523, 0, 0.1], [784, 0.1, 0.18]] },
+  stolen: { wave: 'sawtooth', notes: [[392, 0, 0.14], [262, 0.14, 0.26]] },
+  opponentClaim: { wave: 'sine', notes: [[440, 0, 0.09]] },
+  countdown: { wave: 'square', notes: [[880, 0, 0.05]] },
+  gameEnd: { wave: 'triangle', notes: [[523, 0, 0.15], [659, 0.15, 0.15], [784, 0.3, 0.15], [1047, 0.45, 0.4]] }
+};
+
+export class AudioCues {
+  constructor() {
+    this.settings = this.loadSettings();
+    this.ducked = false;
+    this.context = null; // Made on first use - browsers want a user gesture first
+  }
+
+  loadSettings() {
+    const defaults = { volume: 0.6, muted: false };
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      const settings = { ...defaults, ...saved };
+      if (!(settings.volume >= 0 && settings.volume <= 1)) settings.volume = defaults.volume;
+      return settings;
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveSettings() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+  }
+
+  // `volume` from 0 to 1
+  setVolume(volume) {
+    this.settings.volume = Math.min(Math.max(volume, 0), 1);
+    this.saveSettings();
+  }
+
+  setMuted(muted) {
+    this.settings.muted = muted;
+    this.saveSettings();
+  }
+
+  // Quieten cues while the mic is live, back to normal once it isn't
+  setDucked(ducked) {
+    this.ducked = ducked;
+  }
+
+  play(name) {
+    const cue = CUES[name];
+    const gain = this.settings.muted ? 0 : this.settings.volume * (this.ducked ? DUCKED_GAIN : 1);
+    if (!cue || gain === 0) return;
+
+    const context = this.audioContext();
+    if (!context) return;
+
+    const start = context.currentTime;
+    cue.notes.forEach(([frequency, offset, length]) => {
+      const oscillator = context.createOscillator();
+      const envelope = context.createGain();
+      oscillator.type = cue.wave;
+      oscillator.frequency.value = frequency;
+
+      // Quick attack and decay, so notes don't click
+      envelope.gain.setValueAtTime(0, start + offset);
+      envelope.gain.linearRampToValueAtTime(gain * 0.3, start + offset + 0.01);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, start + offset + length);
+
+      oscillator.connect(envelope).connect(context.destination);
+      oscillator.start(start + offset);
+      oscillator.stop(start + offset + length + 0.02);
+    });
+  }
+
+  audioContext() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return null;
+      this.context = new AudioContext();
+    }
+    if (this.context.state === 'suspended') this.context.resume();
+    return this.context;
+  }
+}
@@ -0,0 +1,610 @@
+// Double Metaphone (Lawrence Philips, 2000). Maps a word to a primary and
+// an alternate phonetic key, so "axes", "access" and "axis" all come out as
+// AKS. Ported from the reference C++ implementation without the four
+// character cap, since we compare whole words rather than index names.
+
+const VOWELS = new Set(['A', 'E', 'I', 'O', 'U', 'Y']);
+
+function isVowel(letter) {
+  return VOWELS.has(letter);
+}
+
+// True if the substring of `length` at `start` is one of `options`
+function stringAt(value, start, length, options) {
+  if (start < 0) return false;
+  return options.includes(value.substr(start, length));
+}
+
+export function doubleMetaphone(word) {
+  let primary = '';
+  let secondary = '';
+  const add = (main, alternate = main) => {
+    primary += main;
+    secondary += alternate;
+  };
+
+  const upper = word.toUpperCase();
+  const length = upper.length;
+  const last = length - 1;
+  // Pad so look-aheads past the end read spaces rather than undefined
+  const value = upper + '     ';
+
+  const isSlavoGermanic = /W|K|CZ|WITZ/.test(upper);
+  const isGermanic = stringAt(value, 0, 4, ['VAN ', 'VON ']) || stringAt(value, 0, 3, ['SCH']);
+
+  let index = 0;
+
+  // Skip these when at start of word
+  if (stringAt(value, 0, 2, ['GN', 'KN', 'PN', 'WR', 'PS'])) {
+    index++;
+  }
+
+  // Initial 'X' is pronounced 'Z', e.g. 'Xavier'
+  if (value[0] === 'X') {
+    add('S');
+    index++;
+  }
+
+  while (index < length) {
+    const prev = value[index - 1];
+    const next = value[index + 1];
+    const nextnext = value[index + 2];
+
+    switch (value[index]) {
+      case 'A':
+      case 'E':
+      case 'I':
+      case 'O':
+      case 'U':
+      case 'Y':
+        // All initial vowels map to 'A'
+        if (index === 0) add('A');
+        index++;
+        break;
+
+      case 'B':
+        // '-mb', e.g. 'dumb', already skipped over
+        add('P');
+        index += next === 'B' ? 2 : 1;
+        break;
+
+      case 'Ç':
+        add('S');
+        index++;
+        break;
+
+      case 'C':
+        // Various germanic
+        if (index > 1 && !isVowel(value[index - 2]) && stringAt(value, index - 1, 3, ['ACH']) &&
+            nextnext !== 'I' && (nextnext !== 'E' || stringAt(value, index - 2, 6, ['BACHER', 'MACHER']))) {
+          add('K');
+          index += 2;
+          break;
+        }
+
+        // Special case 'caesar'
+        if (index === 0 && stringAt(value, index, 6, ['CAESAR'])) {
+          add('S');
+          index += 2;
+          break;
+        }
+
+        // Italian 'chianti'
+        if (stringAt(value, index, 4, ['CHIA'])) {
+          add('K');
+          index += 2;
+          break;
+        }
+
+        if (next === 'H') {
+          // 'michael'
+          if (index > 0 && stringAt(value, index, 4, ['CHAE'])) {
+            add('K', 'X');
+            index += 2;
+            break;
+          }
+
+          // Greek roots, e.g. 'chemistry', 'chorus'
+          if (index === 0 &&
+              (stringAt(value, index + 1, 5, ['HARAC', 'HARIS']) || stringAt(value, index + 1, 3, ['HOR', 'HYM', 'HIA', 'HEM'])) &&
+              !stringAt(value, 0, 5, ['CHORE'])) {
+            add('K');
+            index += 2;
+            break;
+          }
+
+          // Germanic, greek, or otherwise 'ch' for 'kh' sound
+          if (isGermanic ||
+              stringAt(value, index - 2, 6, ['ORCHES', 'ARCHIT', 'ORCHID']) ||
+              nextnext === 'T' || nextnext === 'S' ||
+              ((index === 0 || ['A', 'O', 'U', 'E'].includes(prev)) &&
+               ['L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '].includes(nextnext))) {
+            add('K');
+          } else if (index > 0) {
+            if (stringAt(value, 0, 2, ['MC'])) {
+              add('K');
+            } else {
+              add('X', 'K');
+            }
+          } else {
+            add('X');
+          }
+          index += 2;
+          break;
+        }
+
+        // 'czerny'
+        if (next === 'Z' && !stringAt(value, index - 2, 4, ['WICZ'])) {
+          add('S', 'X');
+          index += 2;
+          break;
+        }
+
+        // 'focaccia'
+        if (stringAt(value, index + 1, 3, ['CIA'])) {
+          add('X');
+          index += 3;
+          break;
+        }
+
+        // Double 'C', but not if e.g. 'McClellan'
+        if (next === 'C' && !(index === 1 && value[0] === 'M')) {
+          // 'bellocchio' but not 'bacchus'
+          if (['I', 'E', 'H'].includes(nextnext) && !stringAt(value, index + 2, 2, ['HU'])) {
+            // 'accident', 'accede', 'succeed'
+            if ((index === 1 && prev === 'A') || stringAt(value, index - 1, 5, ['UCCEE', 'UCCES'])) {
+              add('KS');
+            } else {
+              // 'bacci', 'bertucci', other italian
+              add('X');
+            }
+            index += 3;
+            break;
+          }
+
+          // Pierce's rule
+          add('K');
+          index += 2;
+          break;
+        }
+
+        if (next === 'G' || next === 'K' || next === 'Q') {
+          add('K');
+          index += 2;
+          break;
+        }
+
+        // Italian vs. english
+        if (next === 'I' || next === 'E' || next === 'Y') {
+          if (stringAt(value, index, 3, ['CIO', 'CIE', 'CIA'])) {
+            add('S', 'X');
+          } else {
+            add('S');
+          }
+          index += 2;
+          break;
+        }
+
+        add('K');
+
+        // 'mac caffrey', 'mac gregor'
+        if (stringAt(value, index + 1, 2, [' C', ' Q', ' G'])) {
+          index += 3;
+        } else if (['C', 'K', 'Q'].includes(next) && !stringAt(value, index + 1, 2, ['CE', 'CI'])) {
+          index += 2;
+        } else {
+          index++;
+        }
+        break;
+
+      case 'D':
+        if (next === 'G') {
+          // 'edge'
+          if (['I', 'E', 'Y'].includes(nextnext)) {
+            add('J');
+            index += 3;
+          } else {
+            // 'edgar'
+            add('TK');
+            index += 2;
+          }
+          break;
+        }
+
+        add('T');
+        index += next === 'T' || next === 'D' ? 2 : 1;
+        break;
+
+      case 'F':
+        add('F');
+        index += next === 'F' ? 2 : 1;
+        break;
+
+      case 'G':
+        if (next === 'H') {
+          if (index > 0 && !isVowel(prev)) {
+            add('K');
+            index += 2;
+            break;
+          }
+
+          // 'ghislane', 'ghiradelli'
+          if (index === 0) {
+            add(nextnext === 'I' ? 'J' : 'K');
+            index += 2;
+            break;
+          }
+
+          // Parker's rule (with some further refinements), e.g. 'hugh'
+          if ((index > 1 && ['B', 'H', 'D'].includes(value[index - 2])) ||
+              (index > 2 && ['B', 'H', 'D'].includes(value[index - 3])) ||
+              (index > 3 && ['B', 'H'].includes(value[index - 4]))) {
+            index += 2;
+            break;
+          }
+
+          // 'laugh', 'McLaughlin', 'cough', 'gough', 'rough', 'tough'
+          if (index > 2 && prev === 'U' && ['C', 'G', 'L', 'R', 'T'].includes(value[index - 3])) {
+            add('F');
+          } else if (index > 0 && prev !== 'I') {
+            add('K');
+          }
+          index += 2;
+          break;
+        }
+
+        if (next === 'N') {
+          if (index === 1 && isVowel(value[0]) && !isSlavoGermanic) {
+            add('KN', 'N');
+          } else if (!stringAt(value, index + 2, 2, ['EY']) && !isSlavoGermanic) {
+            // Not e.g. 'cagney'
+            add('N', 'KN');
+          } else {
+            add('KN');
+          }
+          index += 2;
+          break;
+        }
+
+        // 'tagliaro'
+        if (stringAt(value, index + 1, 2, ['LI']) && !isSlavoGermanic) {
+          add('KL', 'L');
+          index += 2;
+          break;
+        }
+
+        // -ges-, -gep-, -gel-, -gie- at beginning
+        if (index === 0 &&
+            (next === 'Y' || stringAt(value, index + 1, 2, ['ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER']))) {
+          add('K', 'J');
+          index += 2;
+          break;
+        }
+
+        // -ger-, -gy-
+        if ((stringAt(value, index + 1, 2, ['ER']) || next === 'Y') &&
+            !stringAt(value, 0, 6, ['DANGER', 'RANGER', 'MANGER']) &&
+            prev !== 'E' && prev !== 'I' &&
+            !stringAt(value, index - 1, 3, ['RGY', 'OGY'])) {
+          add('K', 'J');
+          index += 2;
+          break;
+        }
+
+        // Italian, e.g. 'biaggi'
+        if (['E', 'I', 'Y'].includes(next) || stringAt(value, index - 1, 4, ['AGGI', 'OGGI'])) {
+          // Obvious germanic
+          if (isGermanic || stringAt(value, index + 1, 2, ['ET'])) {
+            add('K');
+          } else if (stringAt(value, index + 1, 4, ['IER '])) {
+            // Always soft if french ending
+            add('J');
+          } else {
+            add('J', 'K');
+          }
+          index += 2;
+          break;
+        }
+
+        add('K');
+        index += next === 'G' ? 2 : 1;
+        break;
+
+      case 'H':
+        // Only keep if first & before vowel or between 2 vowels
+        if ((index === 0 || isVowel(prev)) && isVowel(next)) {
+          add('H');
+          index += 2;
+        } else {
+          index++;
+        }
+        break;
+
+      case 'J':
+        // Obvious spanish, 'jose', 'san jacinto'
+        if (stringAt(value, index, 4, ['JOSE']) || stringAt(value, 0, 4, ['SAN '])) {
+          if ((index === 0 && value[index + 4] === ' ') || stringAt(value, 0, 4, ['SAN '])) {
+            add('H');
+          } else {
+            add('J', 'H');
+          }
+          index++;
+          break;
+        }
+
+        if (index === 0) {
+          // Yankelovich/Jankelowicz
+          add('J', 'A');
+        } else if (isVowel(prev) && !isSlavoGermanic && (next === 'A' || next === 'O')) {
+          // Spanish pronunciation of e.g. 'bajador'
+          add('J', 'H');
+        } else if (index === last) {
+          add('J', '');
+        } else if (!['L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z'].includes(next) && !['S', 'K', 'L'].includes(prev)) {
+          add('J');
+        }
+
+        index += next === 'J' ? 2 : 1;
+        break;
+
+      case 'K':
+        add('K');
+        index += next === 'K' ? 2 : 1;
+        break;
+
+      case 'L':
+        if (next === 'L') {
+          // Spanish, e.g. 'cabrillo', 'gallegos'
+          if ((index === length - 3 && stringAt(value, index - 1, 4, ['ILLO', 'ILLA', 'ALLE'])) ||
+              ((stringAt(value, last - 1, 2, ['AS', 'OS']) || ['A', 'O'].includes(value[last])) &&
+               stringAt(value, index - 1, 4, ['ALLE']))) {
+            add('L', '');
+            index += 2;
+            break;
+          }
+          index += 2;
+        } else {
+          index++;
+        }
+        add('L');
+        break;
+
+      case 'M':
+        // 'dumb', 'thumb'
+        if ((stringAt(value, index - 1, 3, ['UMB']) && (index + 1 === last || stringAt(value, index + 2, 2, ['ER']))) ||
+            next === 'M') {
+          index += 2;
+        } else {
+          index++;
+        }
+        add('M');
+        break;
+
+      case 'N':
+        add('N');
+        index += next === 'N' ? 2 : 1;
+        break;
+
+      case 'Ñ':
+        add('N');
+        index++;
+        break;
+
+      case 'P':
+        if (next === 'H') {
+          add('F');
+          index += 2;
+          break;
+        }
+
+        // Also account for 'campbell', 'raspberry'
+        add('P');
+        index += next === 'P' || next === 'B' ? 2 : 1;
+        break;
+
+      case 'Q':
+        add('K');
+        index += next === 'Q' ? 2 : 1;
+        break;
+
+      case 'R':
+        // French, e.g. 'rogier', but exclude 'hochmeier'
+        if (index === last && !isSlavoGermanic && stringAt(value, index - 2, 2, ['IE']) &&
+            !stringAt(value, index - 4, 2, ['ME', 'MA'])) {
+          add('', 'R');
+        } else {
+          add('R');
+        }
+        index += next === 'R' ? 2 : 1;
+        break;
+
+      case 'S':
+        // Special cases 'island', 'isle', 'carlisle', 'carlysle'
+        if (stringAt(value, index - 1, 3, ['ISL', 'YSL'])) {
+          index++;
+          break;
+        }
+
+        // Special case 'sugar-'
+        if (index === 0 && stringAt(value, index, 5, ['SUGAR'])) {
+          add('X', 'S');
+          index++;
+          break;
+        }
+
+        if (next === 'H') {
+          // Germanic
+          if (stringAt(value, index + 1, 4, ['HEIM', 'HOEK', 'HOLM', 'HOLZ'])) {
+            add('S');
+          } else {
+            add('X');
+          }
+          index += 2;
+          break;
+        }
+
+        // Italian & armenian
+        if (stringAt(value, index, 3, ['SIO', 'SIA']) || stringAt(value, index, 4, ['SIAN'])) {
+          if (isSlavoGermanic) {
+            add('S');
+          } else {
+            add('S', 'X');
+          }
+          index += 3;
+          break;
+        }
+
+        // German & anglicisations, e.g. 'smith' match 'schmidt', 'snider'
+        // match 'schneider'; also -sz- in slavic languages
+        if ((index === 0 && ['M', 'N', 'L', 'W'].includes(next)) || next === 'Z') {
+          add('S', 'X');
+          index += next === 'Z' ? 2 : 1;
+          break;
+        }
+
+        if (next === 'C') {
+          // Schlesinger's rule
+          if (nextnext === 'H') {
+            // Dutch origin, e.g. 'school', 'schooner'
+            if (stringAt(value, index + 3, 2, ['OO', 'ER', 'EN', 'UY', 'ED', 'EM'])) {
+              // 'schermerhorn', 'schenker'
+              if (stringAt(value, index + 3, 2, ['ER', 'EN'])) {
+                add('X', 'SK');
+              } else {
+                add('SK');
+              }
+              index += 3;
+              break;
+            }
+
+            if (index === 0 && !isVowel(value[3]) && value[3] !== 'W') {
+              add('X', 'S');
+            } else {
+              add('X');
+            }
+            index += 3;
+            break;
+          }
+
+          if (['I', 'E', 'Y'].includes(nextnext)) {
+            add('S');
+            index += 3;
+            break;
+          }
+
+          add('SK');
+          index += 3;
+          break;
+        }
+
+        // French, e.g. 'resnais', 'artois'
+        if (index === last && stringAt(value, index - 2, 2, ['AI', 'OI'])) {
+          add('', 'S');
+        } else {
+          add('S');
+        }
+        index += next === 'S' || next === 'Z' ? 2 : 1;
+        break;
+
+      case 'T':
+        if (stringAt(value, index, 4, ['TION'])) {
+          add('X');
+          index += 3;
+          break;
+        }
+
+        if (stringAt(value, index, 3, ['TIA', 'TCH'])) {
+          add('X');
+          index += 3;
+          break;
+        }
+
+        if (next === 'H' || stringAt(value, index, 3, ['TTH'])) {
+          // Special case 'thomas', 'thames' or germanic
+          if (stringAt(value, index + 2, 2, ['OM', 'AM']) || isGermanic) {
+            add('T');
+          } else {
+            add('0', 'T');
+          }
+          index += 2;
+          break;
+        }
+
+        add('T');
+        index += next === 'T' || next === 'D' ? 2 : 1;
+        break;
+
+      case 'V':
+        add('F');
+        index += next === 'V' ? 2 : 1;
+        break;
+
+      case 'W':
+        // Can also be in middle of word
+        if (next === 'R') {
+          add('R');
+          index += 2;
+          break;
+        }
+
+        if (index === 0 && (isVowel(next) || next === 'H')) {
+          // 'wasserman' should match 'vasserman'
+          if (isVowel(next)) {
+            add('A', 'F');
+          } else {
+            // Need 'uomo' to match 'womo'
+            add('A');
+          }
+        }
+
+        // 'arnow' should match 'arnoff'
+        if ((index === last && isVowel(prev)) ||
+            stringAt(value, index - 1, 5, ['EWSKI', 'EWSKY', 'OWSKI', 'OWSKY']) ||
+            stringAt(value, 0, 3, ['SCH'])) {
+          add('', 'F');
+          index++;
+          break;
+        }
+
+        // Polish, e.g. 'filipowicz'
+        if (stringAt(value, index, 4, ['WICZ', 'WITZ'])) {
+          add('TS', 'FX');
+          index += 4;
+          break;
+        }
+
+        index++;
+        break;
+
+      case 'X':
+        // French, e.g. 'breaux'
+        if (!(index === last &&
+              (stringAt(value, index - 3, 3, ['IAU', 'EAU']) || stringAt(value, index - 2, 2, ['AU', 'OU'])))) {
+          add('KS');
+        }
+        index += next === 'C' || next === 'X' ? 2 : 1;
+        break;
+
+      case 'Z':
+        // Chinese pinyin, e.g. 'zhao'
+        if (next === 'H') {
+          add('J');
+          index += 2;
+          break;
+        }
+
+        if (stringAt(value, index + 1, 2, ['ZO', 'ZI', 'ZA']) || (isSlavoGermanic && index > 0 && prev !== 'T')) {
+          add('S', 'TS');
+        } else {
+          add('S');
+        }
+        index += next === 'Z' ? 2 : 1;
+        break;
+
+      default:
+        index++;
+    }
+  }
+
+  return [primary, secondary];
+}
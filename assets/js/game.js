@@ -1,5 +1,33 @@
 // Cutthroat Anagrams Game Client
 import { Socket } from "phoenix";
+import { WordFinder } from "./word_finder.js";
+import { StealPlanner } from "./steal_planner.js";
+import { LANGUAGES, foldWord, tokenizeWord } from "./languages.js";
+import { PracticeGame } from "./practice_game.js";
+import { AudioCues } from "./audio_cues.js";
+import { SpeechMatcher } from "./speech_matcher.js";
+import { createRecognizer, defaultBackend, RECOGNIZER_BACKENDS, SpellingRecognizer, PushToTalkRecognizer, WakeWordRecognizer } from "./speech_recognizers.js";
+
+// always: everything heard is a claim; push: only while Space or the mic
+// button is held; wake: only after "claim ..." or "steal ..."
+const MIC_MODES = ['always', 'push', 'wake'];
+
+// Worth keeping an eye on while any are still in the bag
+const RARE_LETTERS = ['Q', 'Z', 'X', 'J'];
+
+// Tile bag presets only English games can use - see TileBags
+const ENGLISH_ONLY_TILE_SETS = ['bananagrams', 'short'];
+
+// Word length tiers, longest first. Each has its own border style and pips
+// as well as a colour, so telling them apart doesn't depend on colour.
+const LENGTH_TIERS = [
+  { min: 7, name: 'long', border: 'border-4 border-double border-success', pips: '●●●' },
+  { min: 5, name: 'medium', border: 'border-2 border-dashed border-warning', pips: '●●' },
+  { min: 0, name: 'short', border: 'border-2 border-info', pips: '●' }
+];
+
+// How many announcements the screen reader log keeps
+const ANNOUNCER_LOG_SIZE = 20;
 
 class CutthroatAnagramsGame {
   constructor() {
@@ -12,18 +40,44 @@ class CutthroatAnagramsGame {
     this.isListening = false;
     this.currentRecognition = null;
     this.gameState = null;
-    this.pendingClaims = new Map(); // Track simultaneous claims
+    this.practiceGame = null; // Local game against bots, when practicing
+    this.spectating = false; // Watching a game read-only
+    this.audioCues = new AudioCues();
+    this.countdownCueSecond = null; // Last second of the auto-flip countdown we beeped for
     
-    // Countdown timer for auto-flip
+    // Set while the socket or channel is down and we're trying to rejoin
+    this.connectionLost = false;
+    
+    // Countdown to the server's next auto-flip. The server owns the timer;
+    // we only tick down to the deadline it last told us about.
     this.flipCountdownTimer = null;
-    this.flipCountdownSeconds = 10;
+    this.flipCountdownDeadline = null;
+    this.flipCountdownState = null; // gameState the deadline came from
+    
+    // Blitz games: the server's game clock, ticked down locally the same way
+    this.gameClockTimer = null;
+    this.gameClockDeadline = null;
     
-    // Speech recognition setup
+    // Speech recognition setup: which backend to use, when the mic counts as
+    // talking to the game and whether words are spelled out letter by
+    // letter, remembered per browser
     this.recognition = null;
     this.audioContext = null;
-    this.micStream = null;
+    this.speechSettings = this.loadSpeechSettings();
+    this.speechMatcher = new SpeechMatcher();
+    this.talkHeld = false; // Space or the mic button held down in push-to-talk
+    this.speechScript = []; // What the 'scripted' test backend says on start
+    this.playableWordsCache = null; // {key, promise} for the current board
+    
+    // Anagram engine over the full word list, running in a Web Worker
+    this.wordFinder = new WordFinder();
+    this.wordRoots = new Map(); // word -> roots, for the strict steal rules
+    this.stealPlanner = new StealPlanner('en', word => this.wordRoots.get(word) || [word]);
+    this.dictionaryCache = new Map();
+    this.language = 'en'; // The game's language: see setLanguage
     
     this.initializeEventHandlers();
+    this.updateSpeechControls();
     this.updateGameSetupState();
     this.checkForExistingGame();
   }
@@ -32,18 +86,76 @@ class CutthroatAnagramsGame {
     // Setup screen handlers
     document.getElementById('create-game-btn').onclick = () => this.createGame();
     document.getElementById('join-game-btn').onclick = () => this.joinGame();
+    document.getElementById('practice-btn').onclick = () => this.startPractice();
+    document.getElementById('watch-game-btn').onclick = () => this.watchGame(document.getElementById('game-code').value);
     
     // Game screen handlers
     document.getElementById('flip-tile-btn').onclick = () => this.flipTile();
     document.getElementById('vote-end-btn').onclick = () => this.voteToEndGame();
-    document.getElementById('header-mic-toggle').onclick = () => this.toggleMicrophone();
+    // Board keyboard control: the pool and the words are a tab stop each,
+    // with the arrow keys moving within them
+    ['flipped-letters', 'players-container'].forEach(id => {
+      document.getElementById(id).addEventListener('keydown', (e) => this.handleBoardKeydown(e));
+    });
+    document.getElementById('players-container').onclick = (e) => {
+      const button = e.target.closest('button[data-word-action]');
+      if (button) this.handleWordAction(button);
+    };
+    // Sound effects: per browser, like the speech settings
+    document.getElementById('sound-toggle').onclick = () => {
+      this.audioCues.setMuted(!this.audioCues.settings.muted);
+      this.updateSoundControls();
+    };
+    document.getElementById('sound-volume').oninput = (e) => {
+      this.audioCues.setVolume(e.target.value / 100);
+      this.audioCues.setMuted(false);
+      this.updateSoundControls();
+    };
+    this.updateSoundControls();
+    document.getElementById('challenge-revoke-btn').onclick = () => this.voteOnChallenge(true);
+    document.getElementById('challenge-keep-btn').onclick = () => this.voteOnChallenge(false);
+    
+    // Lobby handlers - only the host's controls are enabled
+    document.getElementById('start-game-btn').onclick = () => this.startGame();
+    document.querySelectorAll('#lobby-panel [data-setting]').forEach(select => {
+      select.onchange = () => this.updateSetting(select.dataset.setting, select.value);
+    });
+    document.getElementById('lobby-teams').onchange = (e) => {
+      const select = e.target.closest('[data-team-player]');
+      if (select) this.assignTeam(select.dataset.teamPlayer, parseInt(select.value));
+    };
+    document.getElementById('custom-tiles-apply').onclick = () => this.applyCustomTiles();
+    document.getElementById('custom-tiles-file').onchange = async (e) => {
+      const file = e.target.files[0];
+      if (file) document.getElementById('custom-tiles-json').value = await file.text();
+    };
+    document.getElementById('house-lists-apply').onclick = () => this.applyHouseLists();
+    document.querySelectorAll('[data-house-list-file]').forEach(input => {
+      input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (file) document.getElementById(input.dataset.houseListFile).value = await file.text();
+      };
+    });
+    const micBtn = document.getElementById('header-mic-toggle');
+    micBtn.onclick = () => {
+      // Push-to-talk is driven by press and release instead
+      if (this.speechSettings.micMode !== 'push') this.toggleMicrophone();
+    };
+    micBtn.onpointerdown = () => {
+      if (this.speechSettings.micMode === 'push') this.pressToTalk();
+    };
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(event => {
+      micBtn.addEventListener(event, () => this.releaseToTalk());
+    });
+    document.getElementById('mic-mode-select').onchange = (e) => this.setMicMode(e.target.value);
+    document.getElementById('speech-backend-select').onchange = (e) => this.setSpeechBackend(e.target.value);
+    document.getElementById('spell-mode-toggle').onclick = () => this.setSpellMode(!this.speechSettings.spellMode);
     document.getElementById('header-copy-code-btn').onclick = () => this.copyGameCode();
     document.getElementById('manual-claim-btn').onclick = () => this.manualClaimWord();
     
     // Modal handlers
     document.getElementById('confirm-word-btn').onclick = () => this.confirmWord();
     document.getElementById('cancel-word-btn').onclick = () => this.cancelWord();
-    document.getElementById('flip-coin-btn').onclick = () => this.flipCoin();
     document.getElementById('new-game-btn').onclick = () => this.newGame();
     
     // Enter key handlers
@@ -64,10 +176,26 @@ class CutthroatAnagramsGame {
     document.getElementById('word-input').oninput = (e) => {
       this.updateWordBeingConfirmed(e.target.value);
       this.updateStealDetails(e.target.value);
+      this.updateDictionaryWarning(e.target.value);
     };
     
     // Name input validation
     document.getElementById('player-name').oninput = () => this.updateGameSetupState();
+    
+    // Hold Space to talk, unless typing somewhere. Holding it on a focused
+    // button (a word card, Flip) talks too, so stop the button's click.
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== 'Space' || this.speechSettings.micMode !== 'push' || this.isTypingTarget(e.target)) return;
+      if (document.getElementById('game-screen').classList.contains('hidden')) return;
+      e.preventDefault();
+      if (!e.repeat) this.pressToTalk();
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.code !== 'Space' || this.speechSettings.micMode !== 'push') return;
+      const onGameScreen = !document.getElementById('game-screen').classList.contains('hidden');
+      if (onGameScreen && e.target.tagName === 'BUTTON') e.preventDefault();
+      this.releaseToTalk();
+    });
   }
 
   generateGameId() {
@@ -78,20 +206,24 @@ class CutthroatAnagramsGame {
     const playerName = document.getElementById('player-name').value.trim();
     const createBtn = document.getElementById('create-game-btn');
     const joinBtn = document.getElementById('join-game-btn');
+    const practiceBtn = document.getElementById('practice-btn');
     
     const hasName = playerName.length > 0;
     
     // Enable/disable buttons based on name input
     createBtn.disabled = !hasName;
     joinBtn.disabled = !hasName;
+    practiceBtn.disabled = !hasName;
     
     // Update button styling
     if (hasName) {
       createBtn.classList.remove('btn-disabled');
       joinBtn.classList.remove('btn-disabled');
+      practiceBtn.classList.remove('btn-disabled');
     } else {
       createBtn.classList.add('btn-disabled');
       joinBtn.classList.add('btn-disabled');
+      practiceBtn.classList.add('btn-disabled');
     }
   }
 
@@ -103,12 +235,14 @@ class CutthroatAnagramsGame {
       return;
     }
     
-    // Get minimum word length from UI
+    // Get minimum word length and language from UI
     const minWordLength = parseInt(document.getElementById('min-word-length').value);
+    const language = document.getElementById('game-language').value;
     
     this.gameId = this.generateGameId();
     this.playerName = playerName;
     this.minWordLength = minWordLength; // Store for use when connecting
+    this.newGameLanguage = language;
     this.connectToGame();
   }
 
@@ -133,16 +267,69 @@ class CutthroatAnagramsGame {
     this.connectToGame();
   }
 
+  watchGame(gameCode) {
+    gameCode = (gameCode || '').trim().toUpperCase();
+    
+    if (!gameCode) {
+      alert('Please enter a game code');
+      document.getElementById('game-code').focus();
+      return;
+    }
+    
+    this.gameId = gameCode;
+    this.playerName = 'Spectator';
+    this.spectating = true;
+    this.connectToGame();
+  }
+
+  startPractice() {
+    const playerName = document.getElementById('player-name').value.trim();
+    if (!playerName) {
+      alert('Please enter your name first');
+      document.getElementById('player-name').focus();
+      return;
+    }
+    
+    this.gameId = 'PRACTICE';
+    this.playerName = playerName;
+    
+    // Runs entirely in the browser - the practice channel stands in for the server
+    this.practiceGame = new PracticeGame({
+      wordFinder: this.wordFinder,
+      minWordLength: parseInt(document.getElementById('min-word-length').value),
+      botCount: parseInt(document.getElementById('practice-bot-count').value),
+      botSpeed: document.getElementById('practice-bot-speed').value,
+      botStrength: document.getElementById('practice-bot-strength').value
+    });
+    this.channel = this.practiceGame.createChannel(playerName);
+    
+    this.setupChannelHandlers();
+    this.joinChannel();
+  }
+
   connectToGame() {
-    // Initialize Phoenix Socket
+    // Initialize Phoenix Socket. Phoenix reconnects the socket and rejoins
+    // the channel by itself; we only pick the backoff.
     this.socket = new Socket("/socket", {
-      params: {token: ""}
+      params: {token: ""},
+      reconnectAfterMs: reconnectBackoff,
+      rejoinAfterMs: reconnectBackoff
     });
     
+    this.socket.onError(() => this.handleConnectionLost());
     this.socket.connect();
     
-    // Prepare channel join parameters
-    const channelParams = {
+    // Join game channel. Params are a function so a rejoin after a dropped
+    // connection sends the reconnect token we got from the first join.
+    this.channel = this.socket.channel(`game:${this.gameId}`, () => this.channelParams());
+    this.channel.onError(() => this.handleConnectionLost());
+    
+    this.setupChannelHandlers();
+    this.joinChannel();
+  }
+
+  channelParams() {
+    const channelParams = this.spectating ? {watch: true} : {
       player_name: this.playerName
     };
     
@@ -150,9 +337,14 @@ class CutthroatAnagramsGame {
     if (this.minWordLength) {
       channelParams.min_word_length = this.minWordLength;
     }
+    if (this.newGameLanguage) {
+      channelParams.language = this.newGameLanguage;
+    }
 
     // Add reconnection data if available
-    if (this.reconnectToken && this.playerId) {
+    if (this.spectating) {
+      console.log('Joining as spectator');
+    } else if (this.reconnectToken && this.playerId) {
       console.log('Attempting reconnection with player ID:', this.playerId);
       channelParams.reconnect_token = this.reconnectToken;
       channelParams.existing_player_id = this.playerId;
@@ -160,16 +352,20 @@ class CutthroatAnagramsGame {
       console.log('No reconnection data available, joining as new player');
     }
     
-    // Join game channel
-    this.channel = this.socket.channel(`game:${this.gameId}`, channelParams);
-    
-    this.setupChannelHandlers();
-    
+    return channelParams;
+  }
+
+  joinChannel() {
     this.channel.join()
       .receive("ok", (response) => {
         console.log("Joined game successfully", response);
         this.playerId = response.player_id;
         this.gameState = response.game_state;
+        this.setLanguage(this.gameState.language || 'en');
+        
+        if (this.connectionLost) {
+          this.handleReconnected();
+        }
         
         // Store reconnection token if provided
         if (response.reconnect_token) {
@@ -181,15 +377,80 @@ class CutthroatAnagramsGame {
           this.showNotification("Reconnected to game!", "success");
         }
         
+        if (response.spectator) {
+          this.showNotification("You're watching this game", "info");
+        }
+        
         this.switchToGameScreen();
         this.updateGameUI();
       })
       .receive("error", (resp) => {
         console.log("Unable to join", resp);
+        
+        // Phoenix would keep retrying a rejoin the server refuses
+        if (this.connectionLost) {
+          this.channel.leave();
+          this.socket.disconnect();
+          alert(`Lost the connection and couldn't rejoin: ${resp.reason}`);
+          this.newGame();
+          return;
+        }
+        
         alert(`Failed to join game: ${resp.reason}`);
       });
   }
 
+  // The game's language is fixed when it's created and picks the word list,
+  // how words split into tiles and what the mic listens for. Practice games
+  // are English.
+  setLanguage(language) {
+    if (language === this.language) return;
+    
+    this.language = language;
+    this.wordFinder.setLanguage(language);
+    this.speechMatcher = new SpeechMatcher(language);
+    this.stealPlanner = new StealPlanner(language, word => this.wordRoots.get(word) || [word]);
+    this.wordRoots.clear();
+    this.dictionaryCache.clear();
+    this.playableWordsCache = null;
+    this.restartListening();
+  }
+
+  // Connection Handling
+  // The socket or channel dropped. Phoenix is already retrying; until it
+  // gets back in, the board is stale and nothing we send would arrive.
+  handleConnectionLost() {
+    if (this.connectionLost || !this.gameState) return;
+    
+    this.connectionLost = true;
+    this.stopFlipCountdown();
+    this.flipCountdownState = null;
+    
+    document.getElementById('reconnecting-banner').classList.remove('hidden');
+  }
+
+  // Back in - the join reply carried a fresh snapshot of the game, which
+  // joinChannel has already swapped in for our stale state
+  handleReconnected() {
+    this.connectionLost = false;
+    document.getElementById('reconnecting-banner').classList.add('hidden');
+    
+    // Pauses and coin flips we were shown before dropping are long over
+    ['interrupt-modal', 'coinflip-modal'].forEach(id =>
+      document.getElementById(id).classList.remove('modal-open')
+    );
+  }
+
+  // Claims, flips and votes made while offline are dropped, not queued:
+  // by the time we're back the board has moved on. Says so and returns true
+  // if `action` was dropped.
+  discardWhileOffline(action) {
+    if (!this.connectionLost) return false;
+    
+    this.showNotification(`You're offline - ${action} wasn't sent`, 'warning');
+    return true;
+  }
+
   setupChannelHandlers() {
     // Player joined/left
     this.channel.on("player_joined", (payload) => {
@@ -213,18 +474,36 @@ class CutthroatAnagramsGame {
       this.showNotification(`${payload.player_name} reconnected`, "success");
     });
     
+    this.channel.on("spectators_changed", (payload) => {
+      console.log("Spectators changed:", payload);
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+    });
+    
+    // Lobby
+    this.channel.on("settings_updated", (payload) => {
+      console.log("Settings updated:", payload);
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+    });
+    
+    this.channel.on("game_started", (payload) => {
+      console.log("Game started:", payload);
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+      this.showNotification("The game has started!", "success");
+    });
+    
     // Tile flipped
     this.channel.on("tile_flipped", (payload) => {
       console.log("Tile flipped:", payload);
       this.gameState = payload.game_state;
       this.updateGameUI();
       this.animateNewTile(payload.tile);
-    });
-    
-    // Voice claim detected
-    this.channel.on("voice_claim_detected", (payload) => {
-      console.log("Voice claim detected:", payload);
-      this.handleVoiceClaim(payload);
+      this.audioCues.play('flip');
+      
+      const who = payload.auto ? 'Auto-flip' : `${this.playerNameFor(payload.player_id)} flipped`;
+      this.announce(`${who} ${payload.tile}. Pool: ${this.gameState.flipped_tiles.join(' ')}`);
     });
     
     // Word claimed
@@ -233,6 +512,7 @@ class CutthroatAnagramsGame {
       this.gameState = payload.game_state;
       this.updateGameUI();
       this.showWordClaimNotification(payload);
+      this.playClaimCue(payload);
     });
     
     // Word stolen
@@ -241,11 +521,18 @@ class CutthroatAnagramsGame {
       this.gameState = payload.game_state;
       this.updateGameUI();
       this.showWordStealNotification(payload);
+      this.playClaimCue(payload);
       
       // Close confirmation pause modal for other players
       this.updateModalToClaimSuccess(payload);
     });
     
+    // Someone's confirming a word, so the server restarted the countdown
+    this.channel.on("flip_timer", (payload) => {
+      console.log("Flip timer:", payload);
+      this.setFlipCountdown(payload.auto_flip_remaining_ms);
+    });
+    
     // Word being confirmed (during pause)
     this.channel.on("word_being_confirmed", (payload) => {
       console.log("Word being confirmed:", payload);
@@ -255,12 +542,20 @@ class CutthroatAnagramsGame {
       }
     });
     
+    // Claimer backed out - lift the pause for everyone else
+    this.channel.on("claim_cancelled", (payload) => {
+      console.log("Claim cancelled:", payload);
+      if (payload.player_id !== this.playerId) {
+        document.getElementById('interrupt-modal').classList.remove('modal-open');
+      }
+    });
+    
     // Claim confirmed/rejected
     this.channel.on("claim_confirmed", (payload) => {
       console.log("Claim confirmed:", payload);
       this.gameState = payload.game_state;
       this.updateGameUI();
-      this.pendingClaims.delete(payload.timestamp);
+      this.playClaimCue(payload);
       
       // Update the modal to show claim success
       this.updateModalToClaimSuccess(payload);
@@ -275,6 +570,9 @@ class CutthroatAnagramsGame {
         case 'not_in_dictionary':
           message = `"${payload.word.toUpperCase()}" is not in the dictionary`;
           break;
+        case 'banned_word':
+          message = `"${payload.word.toUpperCase()}" is banned in this game`;
+          break;
         case 'invalid_tiles':
           message = `"${payload.word.toUpperCase()}" cannot be formed from available tiles`;
           break;
@@ -287,6 +585,18 @@ class CutthroatAnagramsGame {
         case 'invalid_transformation':
           message = `"${payload.word.toUpperCase()}" is just a simple variation (like adding a suffix). You must rearrange letters to steal!`;
           break;
+        case 'same_root': {
+          const violation = this.stealPlanner.explainRejection(payload.word, this.gameState);
+          message = `"${payload.word.toUpperCase()}" keeps the root of the word it steals` +
+            `${violation ? ` (${violation.message})` : ''} - strict steal rules need a new root`;
+          break;
+        }
+        case 'dictionary_unavailable':
+          message = `Couldn't check "${payload.word.toUpperCase()}" - the word list didn't load`;
+          break;
+        case 'word_already_stolen':
+          message = `"${payload.word.toUpperCase()}" needed a word that was just taken by someone else`;
+          break;
         case 'invalid_steal':
           message = `Cannot steal to form "${payload.word.toUpperCase()}" - check available letters`;
           break;
@@ -294,14 +604,17 @@ class CutthroatAnagramsGame {
           message = `Word "${payload.word.toUpperCase()}" was rejected: ${payload.reason}`;
       }
       
+      if (payload.lost_coinflip) {
+        message = `${payload.player_name} lost the coin flip for "${payload.word.toUpperCase()}"`;
+      }
+      
       this.showNotification(message, 'error');
-      this.pendingClaims.delete(payload.timestamp);
       
       // Close the pause modal for other players when claim is rejected
       this.updateModalToClaimRejection(payload);
     });
     
-    // Tie resolution
+    // Claims that landed together, settled by the server's coin flip
     this.channel.on("tie_resolved", (payload) => {
       console.log("Tie resolved:", payload);
       this.showCoinFlipResult(payload);
@@ -310,7 +623,10 @@ class CutthroatAnagramsGame {
     // Game ended
     this.channel.on("game_ended", (payload) => {
       console.log("Game ended:", payload);
+      this.stopFlipCountdown();
+      this.stopGameClock();
       this.showEndScreen(payload);
+      this.audioCues.play('gameEnd');
     });
 
     // Vote to end events
@@ -320,6 +636,43 @@ class CutthroatAnagramsGame {
       this.updateGameUI();
       this.showNotification(`${payload.player_name} voted to end the game`);
     });
+    
+    // Word challenges: a vote among everyone but the word's owner
+    this.channel.on("challenge_started", (payload) => {
+      console.log("Challenge started:", payload);
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+      
+      const challenge = this.gameState.challenge;
+      if (challenge) {
+        this.showNotification(`${payload.player_name} challenged ${this.playerNameFor(challenge.owner_id)}'s "${challenge.word.toUpperCase()}"`, 'warning');
+      }
+    });
+    
+    this.channel.on("challenge_vote_cast", (payload) => {
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+    });
+    
+    this.channel.on("challenge_resolved", (payload) => {
+      console.log("Challenge resolved:", payload);
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+      
+      const word = `"${payload.word.toUpperCase()}"`;
+      this.showNotification(payload.revoked
+        ? `${word} was revoked by challenge (${payload.votes_for} for, ${payload.votes_against} against)`
+        : `${word} survived the challenge`, payload.revoked ? 'warning' : 'info');
+    });
+    
+    // A claimer took back their latest word before the next flip
+    this.channel.on("claim_withdrawn", (payload) => {
+      console.log("Claim withdrawn:", payload);
+      this.gameState = payload.game_state;
+      this.updateGameUI();
+      
+      this.showNotification(`${payload.word.toUpperCase()} was withdrawn`, 'info');
+    });
   }
 
   switchToGameScreen() {
@@ -331,6 +684,19 @@ class CutthroatAnagramsGame {
     document.getElementById('header-player-name').textContent = this.playerName;
     document.getElementById('header-code-display').textContent = this.gameId;
     
+    // Nobody else can join a practice game, so there's no code to share
+    document.getElementById('header-copy-code-btn').classList.toggle('hidden', !!this.practiceGame);
+    
+    // Spectators get a read-only board: no mic, no claiming
+    document.getElementById('header-mic-toggle').classList.toggle('hidden', this.spectating);
+    document.getElementById('manual-claim-section').classList.toggle('hidden', this.spectating);
+    document.getElementById('header-spectating-badge').classList.toggle('hidden', !this.spectating);
+    
+    // Start loading the word list in the background so suggestions are ready
+    this.wordFinder.load().catch(error => {
+      console.error('Failed to load word finder:', error);
+    });
+    
     // Display minimum word length from game state
     if (this.gameState && this.gameState.min_word_length) {
       document.getElementById('header-min-length-display').textContent = this.gameState.min_word_length;
@@ -342,15 +708,29 @@ class CutthroatAnagramsGame {
     
     // Update flipped tiles
     const flippedContainer = document.getElementById('flipped-letters');
-    flippedContainer.innerHTML = this.gameState.flipped_tiles.map(tile => 
-      `<div class="w-12 h-12 scrabble-tile flex items-center justify-center rounded text-lg">${tile}</div>`
-    ).join('');
+    this.renderBoardItems(flippedContainer, this.gameState.flipped_tiles.map((tile, index) => 
+      `<div class="w-12 h-12 scrabble-tile flex items-center justify-center rounded text-lg focus-visible:ring-2 focus-visible:ring-primary"
+            role="listitem" tabindex="-1" data-board-item data-focus-key="tile-${index}-${tile}">${tile}</div>`
+    ).join(''));
     
     // Update remaining count
     document.getElementById('remaining-count').textContent = this.gameState.tiles_remaining;
+    this.updateUnseenLetters();
+    
+    // Update spectator count
+    const spectatorCount = this.gameState.spectator_count || 0;
+    const spectatorEl = document.getElementById('spectator-count');
+    spectatorEl.classList.toggle('hidden', spectatorCount === 0);
+    spectatorEl.textContent = `👁 ${spectatorCount} watching`;
     
     // Update players
     this.updatePlayersDisplay();
+    this.updateChallenge();
+    
+    // Have the playable words ready before the next thing someone says
+    if (this.isListening) {
+      this.getPlayableWords();
+    }
     
     // Update flip button state and vote button visibility
     const flipBtn = document.getElementById('flip-tile-btn');
@@ -359,7 +739,11 @@ class CutthroatAnagramsGame {
     const noTilesLeft = this.gameState.tiles_remaining === 0;
     const noCommunalTiles = this.gameState.flipped_tiles.length === 0;
     
-    if (this.gameState.status === 'playing' && noTilesLeft) {
+    if (this.spectating) {
+      // Spectators can't flip or vote
+      flipBtn.classList.add('hidden');
+      voteBtn.classList.add('hidden');
+    } else if (this.gameState.status === 'playing' && noTilesLeft) {
       // Show vote button instead of flip button when no tiles left
       flipBtn.classList.add('hidden');
       voteBtn.classList.remove('hidden');
@@ -378,7 +762,7 @@ class CutthroatAnagramsGame {
       if (this.gameState.end_votes) {
         voteStatus.classList.remove('hidden');
         voteCount.textContent = this.gameState.end_votes.length;
-        voteNeeded.textContent = Math.ceil(this.gameState.players.length / 2);
+        voteNeeded.textContent = this.gameState.end_votes_needed;
       }
     } else {
       // Show flip button normally
@@ -391,10 +775,12 @@ class CutthroatAnagramsGame {
       document.getElementById('vote-status').classList.add('hidden');
     }
     
+    this.updateLobby();
+    
     // Update game status
     const statusEl = document.getElementById('game-status');
-    if (this.gameState.status === 'waiting') {
-      statusEl.textContent = `Waiting for players... (${this.gameState.players.length}/2)`;
+    if (this.gameState.status === 'waiting' || this.gameState.status === 'lobby') {
+      statusEl.textContent = `Waiting for the host to start... (${this.gameState.players.length}/${this.gameState.settings.max_players} players)`;
     } else if (this.gameState.status === 'playing') {
       if (noTilesLeft) {
         statusEl.textContent = noCommunalTiles ? 'No tiles left - vote to end game!' : 'All tiles flipped - claim remaining words!';
@@ -404,45 +790,178 @@ class CutthroatAnagramsGame {
       }
     }
     
-    // Handle countdown timer
-    if (this.gameState.status === 'playing' && isMyTurn && this.gameState.tiles_remaining > 0) {
-      this.startFlipCountdown();
-    } else {
-      this.stopFlipCountdown();
+    // Every fresh game state carries the time left until the next auto-flip,
+    // and on the blitz clock
+    if (this.flipCountdownState !== this.gameState) {
+      this.flipCountdownState = this.gameState;
+      const playing = this.gameState.status === 'playing';
+      this.setFlipCountdown(playing ? this.gameState.auto_flip_remaining_ms : null);
+      this.setGameClock(playing ? this.gameState.game_clock_remaining_ms : null);
     }
   }
 
+  // Lobby Methods
+  updateLobby() {
+    const panel = document.getElementById('lobby-panel');
+    const inLobby = this.gameState.status === 'lobby' || this.gameState.status === 'waiting';
+    panel.classList.toggle('hidden', !inLobby);
+    if (!inLobby) return;
+    
+    const isHost = !this.spectating && this.gameState.host_id === this.playerId;
+    const host = this.gameState.players.find(p => p.id === this.gameState.host_id);
+    document.getElementById('lobby-host').textContent = isHost ? 'You are the host' : `Host: ${host?.name || 'Unknown'}`;
+    
+    panel.querySelectorAll('[data-setting]').forEach(select => {
+      // The host may have picked "Custom..." and not sent a bag yet
+      if (select.dataset.setting === 'tile_set' && select.value === 'custom' && isHost) return;
+      select.value = String(this.gameState.settings[select.dataset.setting]);
+      select.disabled = !isHost;
+    });
+    
+    const tileSetSelect = panel.querySelector('[data-setting="tile_set"]');
+    // Other languages only have their own standard set, single or doubled
+    tileSetSelect.querySelectorAll('option').forEach(option => {
+      option.disabled = this.language !== 'en' && ENGLISH_ONLY_TILE_SETS.includes(option.value);
+    });
+    document.getElementById('custom-tiles-editor').classList.toggle('hidden', !isHost || tileSetSelect.value !== 'custom');
+    
+    this.updateLobbyTeams(isHost);
+    this.updateLobbyHouseLists(isHost);
+    
+    const distribution = Object.entries(this.gameState.tile_distribution).sort(([a], [b]) => a.localeCompare(b));
+    const bagSize = distribution.reduce((total, [, count]) => total + count, 0);
+    document.getElementById('lobby-bag').textContent =
+      `${bagSize} tiles - ${distribution.map(([letter, count]) => `${letter}×${count}`).join(' ')}`;
+    
+    const connectedCount = this.gameState.players.filter(p => p.connected).length;
+    const emptyTeam = teamNumbers(this.gameState.settings.teams)
+      .some(team => !this.gameState.players.some(p => p.team === team));
+    const startBtn = document.getElementById('start-game-btn');
+    startBtn.classList.toggle('hidden', !isHost);
+    startBtn.disabled = connectedCount < 2 || emptyTeam;
+    
+    document.getElementById('lobby-hint').textContent = !isHost ? 'Waiting for the host to start the game' :
+      connectedCount < 2 ? 'Waiting for at least one more player' :
+      emptyTeam ? 'Every team needs at least one player' : '';
+  }
+
+  // Each team's players, with a team picker per player for the host
+  updateLobbyTeams(isHost) {
+    const teams = teamNumbers(this.gameState.settings.teams);
+    const teamsDiv = document.getElementById('lobby-teams');
+    teamsDiv.classList.toggle('hidden', teams.length === 0);
+    document.querySelector('#lobby-panel [data-setting="teammate_steals"]')
+      .closest('.form-control').classList.toggle('hidden', teams.length === 0);
+    
+    teamsDiv.innerHTML = teams.map(team => {
+      const members = this.gameState.players.filter(p => p.team === team).map(player => {
+        const picker = isHost ? `<select data-team-player="${player.id}" class="select select-bordered select-xs">
+            ${teams.map(n => `<option value="${n}" ${n === team ? 'selected' : ''}>Team ${n}</option>`).join('')}
+          </select>` : '';
+        return `<div class="flex justify-between items-center gap-1 text-sm">
+                  <span class="${player.id === this.playerId ? 'font-bold text-primary' : ''}">${player.name}</span>${picker}
+                </div>`;
+      }).join('');
+      
+      return `<div class="bg-base-100 rounded p-2 space-y-1">
+                <div class="font-semibold text-sm">Team ${team}</div>
+                ${members || '<div class="text-xs italic text-base-content/50">Nobody yet</div>'}
+              </div>`;
+    }).join('');
+  }
+
+  // Everyone sees how long the house lists are; the host can edit them
+  updateLobbyHouseLists(isHost) {
+    const { banned_words: banned, allowed_words: allowed } = this.gameState.settings;
+    document.getElementById('lobby-house-lists').textContent =
+      banned.length === 0 && allowed.length === 0 ? 'none' : `${banned.length} banned, ${allowed.length} extra allowed`;
+    
+    document.getElementById('house-lists-editor').classList.toggle('hidden', !isHost);
+    if (!isHost) return;
+    
+    // Don't clobber a list the host is still typing
+    [['banned-words-text', banned], ['allowed-words-text', allowed]].forEach(([id, words]) => {
+      const textarea = document.getElementById(id);
+      if (textarea !== document.activeElement) textarea.value = words.join('\n');
+    });
+  }
+
+  assignTeam(playerId, team) {
+    this.channel.push("assign_team", { player_id: playerId, team })
+      .receive("error", (resp) => {
+        console.error("Assign team error:", resp);
+        this.showNotification(`Cannot move that player: ${resp.reason}`, 'warning');
+        this.updateLobby();
+      });
+  }
+
+  updateSetting(setting, value) {
+    // A custom bag only goes up once there are letter counts to send
+    if (setting === 'tile_set' && value === 'custom') {
+      document.getElementById('custom-tiles-editor').classList.remove('hidden');
+      return;
+    }
+    
+    // Numeric settings go up as numbers, named choices as strings
+    const parsed = /^\d+$/.test(value) ? parseInt(value) : value;
+    
+    this.channel.push("update_settings", { settings: { [setting]: parsed } })
+      .receive("error", (resp) => {
+        console.error("Update settings error:", resp);
+        this.showNotification(`Cannot change that setting: ${resp.reason}`, 'warning');
+        this.updateLobby();
+      });
+  }
+
+  applyCustomTiles() {
+    let customTiles;
+    try {
+      customTiles = JSON.parse(document.getElementById('custom-tiles-json').value);
+    } catch (error) {
+      this.showNotification('That bag isn\'t valid JSON - use {"A": 9, "B": 2, ...}', 'warning');
+      return;
+    }
+    
+    this.channel.push("update_settings", { settings: { tile_set: 'custom', custom_tiles: customTiles } })
+      .receive("error", (resp) => {
+        console.error("Custom tiles error:", resp);
+        this.showNotification(`Cannot use that bag: ${resp.reason}`, 'warning');
+      });
+  }
+
+  applyHouseLists() {
+    const settings = {
+      banned_words: document.getElementById('banned-words-text').value,
+      allowed_words: document.getElementById('allowed-words-text').value
+    };
+    
+    this.channel.push("update_settings", { settings })
+      .receive("error", (resp) => {
+        console.error("House lists error:", resp);
+        this.showNotification(`Cannot use those lists: ${resp.reason} - words must use this game's letters, 500 at most`, 'warning');
+      });
+  }
+
+  startGame() {
+    this.channel.push("start_game", {})
+      .receive("error", (resp) => {
+        console.error("Start game error:", resp);
+        alert(`Cannot start game: ${resp.reason}`);
+      });
+  }
+
   updatePlayersDisplay() {
     const container = document.getElementById('players-container');
-    container.innerHTML = this.gameState.players.map(player => {
+    
+    // Team games share one word area per team
+    if (this.gameState.settings.teams > 0) {
+      this.renderBoardItems(container, teamNumbers(this.gameState.settings.teams).map(team => this.renderTeam(team)).join(''));
+      return;
+    }
+    
+    this.renderBoardItems(container, this.gameState.players.map(player => {
       const isCurrentPlayer = player.id === this.playerId;
-      
-      // Create words display with proper spacing
-      const words = player.words.map((wordObj, index) => {
-        // Color code by word length to show value
-        const lengthClass = wordObj.letters.length >= 7 ? 'border-success' :
-                           wordObj.letters.length >= 5 ? 'border-warning' : 
-                           'border-info';
-        
-        const stealableHint = isCurrentPlayer ? '' : 
-          ' hover:shadow-lg hover:scale-105 transition-all cursor-pointer';
-        
-        // Create individual letter tiles for each word
-        const letterTiles = wordObj.letters.map(letter => 
-          `<div class="w-6 h-6 scrabble-tile flex items-center justify-center rounded text-sm">${letter}</div>`
-        ).join('');
-        
-        return `<div class="card bg-base-100 border-2 ${lengthClass} ${stealableHint} p-2 inline-block min-w-fit" 
-                     title="Word: ${wordObj.word.toUpperCase()} (${wordObj.letters.length} letters)${isCurrentPlayer ? '' : ' - Click to steal!'}"
-                     data-word="${wordObj.word}" 
-                     data-word-index="${index}"
-                     data-player-id="${player.id}"
-                     onclick="${isCurrentPlayer ? '' : 'game.attemptSteal(this)'}">
-                  <div class="flex gap-1 justify-center">
-                    ${letterTiles}
-                  </div>
-                </div>`;
-      }).join('');
+      const words = player.words.map((wordObj, index) => this.renderWordCard(player, wordObj, index)).join('');
       
       return `
         <div class="card bg-base-100 shadow-sm ${isCurrentPlayer ? 'ring-2 ring-primary' : ''}">
@@ -451,33 +970,265 @@ class CutthroatAnagramsGame {
             <div class="flex justify-between items-center mb-2 px-2 py-1">
               <div class="flex items-center gap-2 text-sm">
                 <span class="font-bold ${isCurrentPlayer ? 'text-primary' : ''}">${player.name}</span>
-                <div class="badge badge-xs ${player.connected ? 'badge-success' : 'badge-error'}" 
-                     title="${player.connected ? 'Connected' : 'Disconnected'}">
-                  ${player.connected ? '●' : '○'}
-                </div>
+                ${this.renderConnectionBadge(player)}
                 <span class="text-xs text-base-content/70">
                   <span class="font-semibold">${player.score}</span>pts • 
                   <span class="font-semibold">${player.words.length}</span>w
+                  ${this.formatStealAdjustments(player)}
                 </span>
-                ${isCurrentPlayer ? '<div class="badge badge-xs badge-primary">You</div>' : ''}
-                ${this.gameState.current_turn === player.id ? '<div class="badge badge-xs badge-secondary animate-pulse">Turn</div>' : ''}
+                ${this.renderPlayerBadges(player)}
               </div>
             </div>
             
             <!-- Words Display Area -->
-            ${player.words.length > 0 ? `
-              <div class="flex flex-wrap gap-2 max-h-64 overflow-y-auto p-2 bg-base-50 rounded border border-base-200">
-                ${words}
-              </div>
-            ` : `
-              <div class="text-center text-base-content/50 text-sm italic py-4">No words claimed yet</div>
-            `}
+            ${this.renderWordArea(words, `${player.name}'s words`)}
           </div>
         </div>
       `;
+    }).join(''));
+  }
+
+  // A team's players and all their words together. Each word still belongs
+  // to whoever claimed it, so teammates can extend it like any other.
+  renderTeam(team) {
+    const members = this.gameState.players.filter(p => p.team === team);
+    const isMyTeam = members.some(p => p.id === this.playerId);
+    const teamScore = members.reduce((total, p) => total + p.score, 0);
+    const wordCount = members.reduce((total, p) => total + p.words.length, 0);
+    const words = members.flatMap(player =>
+      player.words.map((wordObj, index) => this.renderWordCard(player, wordObj, index, true))
+    ).join('');
+    
+    const memberList = members.map(player => `
+      <span class="flex items-center gap-1">
+        <span class="${player.id === this.playerId ? 'font-bold text-primary' : ''}">${player.name}</span>
+        ${this.renderConnectionBadge(player)}
+        <span class="text-xs text-base-content/70">${player.score}pts ${this.formatStealAdjustments(player)}</span>
+        ${this.renderPlayerBadges(player)}
+      </span>
+    `).join('');
+    
+    return `
+      <div class="card bg-base-100 shadow-sm ${isMyTeam ? 'ring-2 ring-primary' : ''}">
+        <div class="card-body p-2">
+          <div class="flex justify-between items-center mb-2 px-2 py-1">
+            <div class="flex flex-wrap items-center gap-3 text-sm">
+              <span class="font-bold ${isMyTeam ? 'text-primary' : ''}">Team ${team}</span>
+              ${memberList}
+            </div>
+            <span class="text-xs text-base-content/70">
+              <span class="font-semibold">${teamScore}</span>pts • 
+              <span class="font-semibold">${wordCount}</span>w
+            </span>
+          </div>
+          
+          ${this.renderWordArea(words, `Team ${team}'s words`)}
+        </div>
+      </div>
+    `;
+  }
+
+  renderWordArea(words, label) {
+    return words ? `
+      <div class="flex flex-wrap gap-2 max-h-64 overflow-y-auto p-2 bg-base-50 rounded border border-base-200" role="list" aria-label="${label}">
+        ${words}
+      </div>
+    ` : `
+      <div class="text-center text-base-content/50 text-sm italic py-4">No words claimed yet</div>
+    `;
+  }
+
+  renderWordCard(player, wordObj, index, showOwner = false) {
+    const canSteal = player.id !== this.playerId && !this.spectating;
+    
+    // Length shows the word's value: colour, border style and pips
+    const tier = lengthTier(wordObj.letters.length);
+    
+    const stealableHint = canSteal ? 
+      ' hover:shadow-lg hover:scale-105 transition-all cursor-pointer' : '';
+    
+    // Create individual letter tiles for each word
+    const letterTiles = wordObj.letters.map(letter => 
+      `<div class="w-6 h-6 scrabble-tile flex items-center justify-center rounded text-sm">${letter}</div>`
+    ).join('');
+    
+    const owner = showOwner ? `, claimed by ${player.name}` : '';
+    const undoButton = this.renderUndoButton(player, wordObj);
+    const challengeButton = this.renderChallengeButton(player, wordObj);
+    const label = [
+      `${wordObj.word.toUpperCase()}, ${wordObj.letters.length} letters, ${tier.name}, ${wordObj.points} points, ${player.name}'s word`,
+      canSteal && 'Enter to steal',
+      challengeButton && 'C to challenge',
+      undoButton && 'Z to withdraw'
+    ].filter(Boolean).join('. ');
+    
+    return `<div class="card bg-base-100 ${tier.border} ${stealableHint} p-2 inline-block min-w-fit" role="listitem">
+              <div class="flex gap-1 justify-center items-center">
+                <button type="button" class="flex gap-1 items-center rounded focus-visible:ring-2 focus-visible:ring-primary ${canSteal ? '' : 'cursor-default'}"
+                        title="Word: ${wordObj.word.toUpperCase()} (${wordObj.letters.length} letters, ${wordObj.points} pts${owner})${canSteal ? ' - Click to steal!' : ''}"
+                        aria-label="${label}"
+                        tabindex="-1"
+                        data-board-item
+                        data-focus-key="word-${wordObj.id || `${player.id}-${index}`}"
+                        data-word-action="${canSteal ? 'steal' : ''}"
+                        data-word="${wordObj.word}" 
+                        data-word-index="${index}"
+                        data-player-id="${player.id}">
+                  ${letterTiles}
+                  <span class="text-xs text-base-content/60 ml-1">${wordObj.points}</span>
+                  <span class="text-[0.6rem] text-base-content/60" title="${tier.name} word">${tier.pips}</span>
+                </button>
+                ${undoButton}
+                ${challengeButton}
+              </div>
+            </div>`;
+  }
+
+  // Your latest word can be taken back until the next tile is flipped
+  renderUndoButton(player, wordObj) {
+    const undoable = (this.gameState.undoable || {})[this.playerId];
+    if (player.id !== this.playerId || !wordObj.id || wordObj.id !== undoable) return '';
+    
+    return `<button type="button" class="btn btn-ghost btn-xs px-1" tabindex="-1" data-word-action="undo"
+                    title="Withdraw ${wordObj.word.toUpperCase()} (until the next flip)">↶</button>`;
+  }
+
+  // Anyone but the owner can challenge a word, one challenge at a time, as
+  // long as someone besides them is around to vote on it
+  renderChallengeButton(player, wordObj) {
+    const canChallenge = !this.spectating && player.id !== this.playerId && wordObj.id &&
+      this.gameState.status === 'playing' && !this.gameState.challenge &&
+      this.challengeVoterCount(player.id) >= 2;
+    if (!canChallenge) return '';
+    
+    return `<button type="button" class="btn btn-ghost btn-xs px-1" tabindex="-1" data-word-action="challenge" data-word-id="${wordObj.id}"
+                    title="Challenge ${wordObj.word.toUpperCase()}">⚑</button>`;
+  }
+
+  // Who'd vote if we challenged `ownerId`'s word, counted the way the
+  // server does: everyone connected but the owner, and us
+  challengeVoterCount(ownerId) {
+    return this.gameState.players.filter(p => p.id !== ownerId && (p.connected || p.id === this.playerId)).length;
+  }
+
+  handleWordAction(button) {
+    switch (button.dataset.wordAction) {
+      case 'steal':
+        this.attemptSteal(button);
+        break;
+      case 'undo':
+        this.undoClaim();
+        break;
+      case 'challenge':
+        this.challengeWord(parseInt(button.dataset.wordId));
+        break;
+    }
+  }
+
+  // Replaces a board container's tiles or words, then puts keyboard focus
+  // back where it was - on the same item, or the one now in its place - and
+  // leaves exactly one of them as the container's tab stop
+  renderBoardItems(container, html) {
+    const stop = container.querySelector('[data-board-item][tabindex="0"]');
+    const position = Array.from(container.querySelectorAll('[data-board-item]')).indexOf(stop);
+    const hadFocus = container.contains(document.activeElement);
+    
+    container.innerHTML = html;
+    
+    const items = Array.from(container.querySelectorAll('[data-board-item]'));
+    const target = (stop && items.find(item => item.dataset.focusKey === stop.dataset.focusKey)) ||
+      items[Math.min(Math.max(position, 0), items.length - 1)];
+    items.forEach(item => item.tabIndex = item === target ? 0 : -1);
+    if (hadFocus && target) target.focus();
+  }
+
+  handleBoardKeydown(e) {
+    const items = Array.from(e.currentTarget.querySelectorAll('[data-board-item]'));
+    const current = items.indexOf(e.target);
+    if (current === -1) return;
+    
+    // Shortcuts for the focused word's own buttons, when it has them
+    const shortcut = { c: 'challenge', z: 'undo' }[e.key.toLowerCase()];
+    if (shortcut && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      const button = e.target.parentElement.querySelector(`[data-word-action="${shortcut}"]`);
+      if (button) {
+        e.preventDefault();
+        this.handleWordAction(button);
+      }
+      return;
+    }
+    
+    const steps = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+    let next;
+    if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = items.length - 1;
+    else if (e.key in steps) next = Math.min(Math.max(current + steps[e.key], 0), items.length - 1);
+    else return;
+    
+    e.preventDefault();
+    items.forEach((item, index) => item.tabIndex = index === next ? 0 : -1);
+    items[next].focus();
+  }
+
+  // Reads `message` out to screen reader users: politely, after whatever
+  // they're hearing now, or straight away when it's urgent
+  announce(message, urgent = false) {
+    if (urgent) {
+      document.getElementById('game-alerts').textContent = message;
+      return;
+    }
+    
+    const log = document.getElementById('game-announcer');
+    const entry = document.createElement('p');
+    entry.textContent = message;
+    log.appendChild(entry);
+    while (log.childElementCount > ANNOUNCER_LOG_SIZE) log.firstElementChild.remove();
+  }
+
+  renderConnectionBadge(player) {
+    return `<div class="badge badge-xs ${player.connected ? 'badge-success' : 'badge-error'}" 
+                 title="${player.connected ? 'Connected' : 'Disconnected'}">
+              ${player.connected ? '●' : '○'}
+            </div>`;
+  }
+
+  renderPlayerBadges(player) {
+    return `${player.id === this.playerId ? '<div class="badge badge-xs badge-primary">You</div>' : ''}
+            ${this.gameState.current_turn === player.id ? '<div class="badge badge-xs badge-secondary animate-pulse">Turn</div>' : ''}`;
+  }
+
+  // For each letter in the game's bag, how many copies nobody has seen yet:
+  // the distribution minus what's in the pool and in everyone's words
+  updateUnseenLetters() {
+    const unseen = { ...this.gameState.tile_distribution };
+    const seen = [
+      ...this.gameState.flipped_tiles,
+      ...this.gameState.players.flatMap(player => player.words.flatMap(wordObj => wordObj.letters))
+    ];
+    seen.forEach(letter => {
+      if (unseen[letter] > 0) unseen[letter]--;
+    });
+    
+    document.getElementById('unseen-letters-count').textContent = `(${this.gameState.tiles_remaining} in the bag)`;
+    document.getElementById('unseen-letters').innerHTML = Object.keys(unseen).sort().map(letter => {
+      const count = unseen[letter];
+      const rare = RARE_LETTERS.includes(letter) && count > 0;
+      const style = count === 0 ? 'opacity-30' : rare ? 'ring-2 ring-warning font-bold' : '';
+      return `<div class="w-8 h-8 scrabble-tile relative flex items-center justify-center rounded text-sm ${style}"
+                   title="${letter}: ${count} unseen of ${this.gameState.tile_distribution[letter]}">
+                ${letter}<span class="absolute bottom-0 right-0.5 text-[0.6rem]">${count}</span>
+              </div>`;
     }).join('');
   }
 
+  // Steal bonus and stolen penalty, when the game's scoring has them
+  formatStealAdjustments(score) {
+    const parts = [];
+    if (score.steal_bonus) parts.push(`<span class="text-success">+${score.steal_bonus} steals</span>`);
+    if (score.stolen_penalty) parts.push(`<span class="text-error">−${score.stolen_penalty} stolen</span>`);
+    return parts.length ? `• ${parts.join(' ')}` : '';
+  }
+
   animateNewTile(tile) {
     // Add animation for new tile
     const flippedContainer = document.getElementById('flipped-letters');
@@ -489,8 +1240,7 @@ class CutthroatAnagramsGame {
   }
 
   flipTile() {
-    // Stop countdown when manually flipping
-    this.stopFlipCountdown();
+    if (this.discardWhileOffline('your flip')) return;
     
     this.channel.push("flip_tile", {})
       .receive("error", (resp) => {
@@ -500,28 +1250,25 @@ class CutthroatAnagramsGame {
   }
 
   // Countdown Timer Methods
-  startFlipCountdown() {
-    // Don't start if already running
-    if (this.flipCountdownTimer) return;
+  // Show the countdown to the next auto-flip, or hide it when `remainingMs`
+  // is null because none is coming. The server does the flipping; at zero
+  // we just wait for its tile_flipped.
+  setFlipCountdown(remainingMs) {
+    if (remainingMs === null || remainingMs === undefined) {
+      this.stopFlipCountdown();
+      return;
+    }
     
-    this.flipCountdownSeconds = 10;
+    this.flipCountdownDeadline = Date.now() + remainingMs;
     this.updateCountdownDisplay();
     
     // Show countdown display
     const countdownEl = document.getElementById('flip-countdown');
     countdownEl.classList.remove('hidden');
     
-    this.flipCountdownTimer = setInterval(() => {
-      this.flipCountdownSeconds--;
-      this.updateCountdownDisplay();
-      
-      if (this.flipCountdownSeconds <= 0) {
-        this.stopFlipCountdown();
-        // Auto-flip the tile
-        console.log("Auto-flipping tile due to timeout");
-        this.flipTile();
-      }
-    }, 1000);
+    if (!this.flipCountdownTimer) {
+      this.flipCountdownTimer = setInterval(() => this.updateCountdownDisplay(), 250);
+    }
   }
 
   stopFlipCountdown() {
@@ -529,26 +1276,141 @@ class CutthroatAnagramsGame {
       clearInterval(this.flipCountdownTimer);
       this.flipCountdownTimer = null;
     }
+    this.flipCountdownDeadline = null;
     
     // Hide countdown display
     const countdownEl = document.getElementById('flip-countdown');
     countdownEl.classList.add('hidden');
   }
 
-  resetFlipCountdown() {
-    // Reset the countdown back to full time
-    if (this.flipCountdownTimer) {
-      this.flipCountdownSeconds = 10;
-      this.updateCountdownDisplay();
+  updateCountdownDisplay() {
+    const seconds = Math.max(Math.ceil((this.flipCountdownDeadline - Date.now()) / 1000), 0);
+    const timerEl = document.getElementById('countdown-timer');
+    timerEl.style.setProperty('--value', seconds);
+    
+    // A tick for each of the last 3 seconds
+    if (seconds > 3) {
+      this.countdownCueSecond = null;
+    } else if (seconds > 0 && seconds !== this.countdownCueSecond) {
+      this.countdownCueSecond = seconds;
+      this.audioCues.play('countdown');
     }
   }
 
-  updateCountdownDisplay() {
-    const timerEl = document.getElementById('countdown-timer');
-    timerEl.style.setProperty('--value', this.flipCountdownSeconds);
+  setGameClock(remainingMs) {
+    const clockEl = document.getElementById('game-clock');
+    if (remainingMs === null || remainingMs === undefined) {
+      this.stopGameClock();
+      return;
+    }
+    
+    this.gameClockDeadline = Date.now() + remainingMs;
+    this.updateGameClockDisplay();
+    clockEl.classList.remove('hidden');
+    
+    if (!this.gameClockTimer) {
+      this.gameClockTimer = setInterval(() => this.updateGameClockDisplay(), 250);
+    }
+  }
+
+  stopGameClock() {
+    if (this.gameClockTimer) {
+      clearInterval(this.gameClockTimer);
+      this.gameClockTimer = null;
+    }
+    this.gameClockDeadline = null;
+    document.getElementById('game-clock').classList.add('hidden');
+  }
+
+  updateGameClockDisplay() {
+    const seconds = Math.max(Math.ceil((this.gameClockDeadline - Date.now()) / 1000), 0);
+    const clockEl = document.getElementById('game-clock');
+    clockEl.textContent = `⏱ ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    
+    // Last half minute
+    clockEl.classList.toggle('badge-error', seconds <= 30);
+    clockEl.classList.toggle('badge-neutral', seconds > 30);
+  }
+
+  undoClaim() {
+    if (this.discardWhileOffline('your undo')) return;
+    
+    this.channel.push("undo_claim", {})
+      .receive("error", (resp) => {
+        console.error("Undo error:", resp);
+        const reason = resp.reason === 'nothing_to_undo' ? 'a tile has been flipped since' : resp.reason;
+        this.showNotification(`Cannot withdraw that word: ${reason}`, 'warning');
+      });
+  }
+
+  challengeWord(wordId) {
+    if (this.discardWhileOffline('your challenge')) return;
+    
+    this.channel.push("challenge_word", { word_id: wordId })
+      .receive("error", (resp) => {
+        console.error("Challenge error:", resp);
+        const reason = resp.reason === 'no_voters' ? 'nobody else is here to vote' : resp.reason;
+        this.showNotification(`Cannot challenge that word: ${reason}`, 'warning');
+      });
+  }
+
+  voteOnChallenge(revoke) {
+    if (this.discardWhileOffline('your vote')) return;
+    
+    this.channel.push("vote_on_challenge", { revoke })
+      .receive("error", (resp) => {
+        console.error("Challenge vote error:", resp);
+        this.showNotification(`Cannot vote: ${resp.reason}`, 'warning');
+      });
+  }
+
+  // The open challenge, if any, with vote buttons for those who haven't voted
+  updateChallenge() {
+    const challenge = this.gameState.challenge;
+    const banner = document.getElementById('challenge-banner');
+    banner.classList.toggle('hidden', !challenge);
+    if (!challenge) return;
+    
+    const word = challenge.word.toUpperCase();
+    document.getElementById('challenge-message').textContent =
+      `${this.playerNameFor(challenge.challenger_id)} challenges ${this.playerNameFor(challenge.owner_id)}'s ${word}`;
+    
+    const votesFor = Object.values(challenge.votes).filter(Boolean).length;
+    const seconds = Math.ceil((challenge.remaining_ms || 0) / 1000);
+    document.getElementById('challenge-votes').textContent =
+      `${votesFor} of ${challenge.voters.length} to revoke · closes in ${seconds}s`;
+    
+    const canVote = challenge.voters.includes(this.playerId) && !(this.playerId in challenge.votes);
+    document.getElementById('challenge-revoke-btn').classList.toggle('hidden', !canVote);
+    document.getElementById('challenge-keep-btn').classList.toggle('hidden', !canVote);
+  }
+
+  // Your own claim or steal, one of your words stolen, or someone else's play
+  playClaimCue(payload) {
+    if (payload.from_players && this.playerId in payload.from_players) {
+      this.audioCues.play('stolen');
+    } else {
+      this.audioCues.play(payload.player_id === this.playerId ? 'claim' : 'opponentClaim');
+    }
+  }
+
+  updateSoundControls() {
+    const { muted, volume } = this.audioCues.settings;
+    const toggle = document.getElementById('sound-toggle');
+    toggle.textContent = muted || volume === 0 ? '🔇' : '🔊';
+    toggle.title = muted ? 'Unmute sounds' : 'Mute sounds';
+    toggle.setAttribute('aria-pressed', String(muted));
+    document.getElementById('sound-volume').value = Math.round(volume * 100);
+  }
+
+  playerNameFor(playerId) {
+    const player = this.gameState.players.find(p => p.id === playerId);
+    return player ? player.name : 'Someone';
   }
 
   voteToEndGame() {
+    if (this.discardWhileOffline('your vote')) return;
+    
     this.channel.push("vote_to_end", {})
       .receive("error", (resp) => {
         console.error("Vote to end error:", resp);
@@ -558,111 +1420,99 @@ class CutthroatAnagramsGame {
 
   // Speech Recognition Implementation
   async toggleMicrophone() {
-    const micBtn = document.getElementById('header-mic-toggle');
-    
     if (!this.isListening) {
       try {
         await this.startListening();
-        micBtn.textContent = '🔴';
-        micBtn.classList.remove('btn-primary');
-        micBtn.classList.add('btn-error');
         this.isListening = true;
       } catch (error) {
         console.error('Failed to start microphone:', error);
-        alert('Failed to access microphone. Please check permissions.');
+        alert(`Failed to start speech recognition: ${error.message}. Please check microphone permissions.`);
       }
     } else {
       this.stopListening();
-      micBtn.textContent = '🎤';
-      micBtn.classList.remove('btn-error');
-      micBtn.classList.add('btn-primary');
       this.isListening = false;
     }
+    this.updateMicButton();
+  }
+
+  // Mic off: blue. Push-to-talk armed but not held: yellow. Live: red.
+  updateMicButton() {
+    const micBtn = document.getElementById('header-mic-toggle');
+    const pushToTalk = this.recognition && this.recognition.find(PushToTalkRecognizer);
+    const live = this.isListening && (!pushToTalk || pushToTalk.held);
+    
+    micBtn.textContent = live ? '🔴' : '🎤';
+    this.audioCues.setDucked(live);
+    micBtn.classList.toggle('btn-primary', !this.isListening);
+    micBtn.classList.toggle('btn-warning', this.isListening && !live);
+    micBtn.classList.toggle('btn-error', live);
+    micBtn.title = this.speechSettings.micMode === 'push'
+      ? 'Hold (or hold Space) to talk'
+      : 'Toggle microphone';
+  }
+
+  // Push-to-talk: the first press starts the recognizer, after that it
+  // stays running and only what's said while held gets through
+  async pressToTalk() {
+    if (this.spectating) return;
+    
+    this.talkHeld = true;
+    if (!this.isListening) {
+      await this.toggleMicrophone();
+    }
+    // Released while the mic was still starting up
+    if (!this.talkHeld) return;
+    
+    const pushToTalk = this.recognition && this.recognition.find(PushToTalkRecognizer);
+    if (pushToTalk) {
+      pushToTalk.press();
+      this.updateMicButton();
+    }
+  }
+
+  releaseToTalk() {
+    this.talkHeld = false;
+    const pushToTalk = this.recognition && this.recognition.find(PushToTalkRecognizer);
+    if (pushToTalk && pushToTalk.held) {
+      pushToTalk.release();
+      this.updateMicButton();
+    }
+  }
+
+  isTypingTarget(element) {
+    if (!element) return false;
+    if (element.tagName === 'INPUT') return !['button', 'checkbox', 'radio', 'range', 'submit', 'reset'].includes(element.type);
+    return ['TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
   }
 
   async startListening() {
-    // Check if browser supports speech recognition
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      throw new Error('Speech recognition not supported in this browser');
-    }
-
-    // Setup microphone with optimized audio settings for fast detection
-    this.micStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        sampleRate: 22050, // Higher sample rate for better detection
-        echoCancellation: true,
-        noiseSuppression: false, // Disable to reduce processing delay
-        autoGainControl: true,
-        latency: 0.01 // Minimum latency for fast detection
-      }
+    let recognizer = createRecognizer(this.speechSettings.backend, {
+      lang: LANGUAGES[this.language].speech_lang,
+      script: this.speechScript
     });
+    if (this.speechSettings.micMode === 'push') {
+      recognizer = new PushToTalkRecognizer(recognizer);
+    } else if (this.speechSettings.micMode === 'wake') {
+      recognizer = new WakeWordRecognizer(recognizer);
+    }
+    if (this.speechSettings.spellMode) {
+      recognizer = new SpellingRecognizer(recognizer, {
+        onprogress: (letters) => letters.length > 0
+          ? this.showInterimSpeech(letters.join('-'))
+          : this.hideInterimSpeech()
+      });
+    }
 
-    // Initialize speech recognition with optimized settings
-    this.recognition = new SpeechRecognition();
-    this.recognition.continuous = true;
-    this.recognition.interimResults = false; // Disable interim results for better performance
-    this.recognition.lang = 'en-US';
-    this.recognition.maxAlternatives = 1; // Only get the best result
-    this.recognition.serviceURI = null; // Use default service for fastest response
-
-    this.recognition.onresult = (event) => {
-      // Process only the latest final result for performance
-      const lastResult = event.results[event.results.length - 1];
-      if (lastResult.isFinal) {
-        const transcript = lastResult[0].transcript;
-        const confidence = lastResult[0].confidence || 0.5; // Default confidence if not available
-        
-        // Check if this looks like a word claim (single word, reasonable confidence)
-        const word = transcript.trim().toLowerCase();
-        if (word.length >= this.gameState.min_word_length && 
-            confidence > 0.3 && // Lower confidence threshold for fuzzy matching
-            /^[a-zA-Z]+$/.test(word)) {
-          
-          // First try exact match from flipped tiles (fast)
-          if (this.canFormWordFromTiles(word, this.gameState.flipped_tiles)) {
-            this.handleSpeechWord(word, confidence);
-          } else {
-            // Check if word can be formed by stealing from claimed words
-            const stealingPossible = this.canFormWordByStealingOrClaiming(word);
-            if (stealingPossible) {
-              this.handleSpeechWord(word, confidence);
-            } else {
-              // Try fuzzy matching if exact match fails (slower)
-              const bestMatch = this.findBestWordMatch(word, this.gameState.flipped_tiles);
-              const bestMatchStealing = bestMatch ? this.canFormWordByStealingOrClaiming(bestMatch) : false;
-              
-              if (bestMatch && (this.canFormWordFromTiles(bestMatch, this.gameState.flipped_tiles) || bestMatchStealing)) {
-                this.handleSpeechWord(bestMatch, confidence);
-              } else {
-                // Show feedback about what words are possible (don't do this on every speech)
-                console.log(`No match found for: ${word}`);
-              }
-            }
-          }
-        }
-      }
-    };
-
-    this.recognition.onerror = (event) => {
-      console.error('Speech recognition error:', event.error);
-      if (event.error === 'not-allowed') {
+    recognizer.onresult = ({ alternatives }) => this.handleRecognizedSpeech(alternatives);
+    recognizer.onerror = (error) => {
+      console.error('Speech recognition error:', error.code, error.message);
+      if (error.code === 'not-allowed') {
         alert('Microphone permission denied. Please enable microphone access.');
       }
     };
 
-    this.recognition.onend = () => {
-      // Restart if still listening
-      if (this.isListening) {
-        setTimeout(() => {
-          if (this.isListening) {
-            this.recognition.start();
-          }
-        }, 100);
-      }
-    };
-
-    this.recognition.start();
+    await recognizer.start();
+    this.recognition = recognizer;
   }
 
   stopListening() {
@@ -670,117 +1520,173 @@ class CutthroatAnagramsGame {
       this.recognition.stop();
       this.recognition = null;
     }
-    if (this.micStream) {
-      this.micStream.getTracks().forEach(track => track.stop());
-      this.micStream = null;
-    }
-    this.hideInterimSpeech();
-  }
-
-  handleSpeechWord(word, confidence) {
-    const timestamp = Date.now();
-    
-    // Reset the flip countdown timer when voice recognition detects a potential word
-    this.resetFlipCountdown();
-    
-    // Show confirmation modal with timer
-    this.showWordConfirmationModal(word, timestamp);
-  }
-
-  showWordConfirmationModal(word, timestamp) {
-    const modal = document.getElementById('word-confirmation-modal');
-    document.getElementById('recognized-word').textContent = word.toUpperCase();
-    document.getElementById('word-input').value = word;
-    
-    // Store timestamp for confirmation
-    modal.dataset.timestamp = timestamp;
-    modal.dataset.word = word;
-    
-    // Check if this is a steal and show details
-    const stealDetails = document.getElementById('steal-details');
-    const canFormFromTiles = this.canFormWordFromTiles(word, this.gameState.flipped_tiles);
-    
-    if (!canFormFromTiles) {
-      // This is a steal - figure out what's being stolen
-      const stealingInfo = this.determineStealingStrategy(word);
-      
-      if (stealingInfo) {
-        stealDetails.classList.remove('hidden');
-        
-        // Show who we're stealing from
-        const stealFromInfo = document.getElementById('steal-from-info');
-        stealFromInfo.innerHTML = '';
-        
-        Object.entries(stealingInfo).forEach(([playerId, wordIndices]) => {
-          const player = this.gameState.players.find(p => p.id === playerId);
-          if (player) {
-            wordIndices.forEach(index => {
-              const stolenWord = player.words[index];
-              const wordEl = document.createElement('div');
-              wordEl.className = 'badge badge-warning gap-2 mr-2 mb-1';
-              wordEl.innerHTML = `<span class="font-bold">${stolenWord.word.toUpperCase()}</span> from ${player.name}`;
-              stealFromInfo.appendChild(wordEl);
-            });
-          }
-        });
-        
-        // Calculate and show new letters being added
-        const allStolenLetters = [];
-        Object.entries(stealingInfo).forEach(([playerId, wordIndices]) => {
-          const player = this.gameState.players.find(p => p.id === playerId);
-          if (player) {
-            wordIndices.forEach(index => {
-              const stolenWord = player.words[index];
-              allStolenLetters.push(...stolenWord.letters);
-            });
-          }
-        });
-        
-        const wordLetters = word.toUpperCase().split('');
-        const newLetters = [...wordLetters];
-        
-        // Remove stolen letters from new letters to find what's being added
-        allStolenLetters.forEach(letter => {
-          const index = newLetters.indexOf(letter);
-          if (index > -1) {
-            newLetters.splice(index, 1);
-          }
-        });
-        
-        // Display new letters
-        const newLettersEl = document.getElementById('steal-new-letters');
-        newLettersEl.innerHTML = '';
-        
-        if (newLetters.length > 0) {
-          newLetters.forEach(letter => {
-            const letterEl = document.createElement('div');
-            letterEl.className = 'badge badge-primary badge-lg';
-            letterEl.textContent = letter;
-            newLettersEl.appendChild(letterEl);
-          });
-        } else {
-          newLettersEl.innerHTML = '<span class="text-sm text-base-content/70">None (rearranging only)</span>';
-        }
-      } else {
-        stealDetails.classList.add('hidden');
-      }
+    this.hideInterimSpeech();
+  }
+
+  // Swap backends, mic mode or spelling mode, restarting the mic if it's on
+  async restartListening() {
+    if (!this.isListening) return;
+    
+    this.stopListening();
+    try {
+      await this.startListening();
+      this.updateMicButton();
+    } catch (error) {
+      console.error('Failed to restart microphone:', error);
+      this.toggleMicrophone();
+    }
+  }
+
+  // Final result from whichever recognizer is running: every hypothesis is
+  // ranked against what can be played right now and the best one goes to
+  // the confirmation modal, with the runners-up offered as corrections
+  async handleRecognizedSpeech(alternatives) {
+    if (!this.gameState) return;
+    
+    const heard = alternatives
+      .filter(alternative => alternative.confidence > 0.3) // Low threshold - ranking sorts out the rest
+      .map(alternative => ({...alternative, transcript: foldWord(alternative.transcript.trim(), this.language)}))
+      .filter(alternative => alternative.transcript);
+    if (heard.length === 0) return;
+    
+    let candidates;
+    const playableWords = await this.getPlayableWords();
+    if (playableWords) {
+      candidates = this.speechMatcher.rank(heard, playableWords);
     } else {
-      // Regular claim from tiles
-      stealDetails.classList.add('hidden');
+      // No word finder - fall back to hypotheses that can be formed as heard
+      candidates = heard
+        .filter(({transcript}) => transcript.length >= this.gameState.min_word_length &&
+          /^\p{L}+$/u.test(transcript) &&
+          (this.canFormWordFromTiles(transcript, this.gameState.flipped_tiles) ||
+           this.canFormWordByStealingOrClaiming(transcript)))
+        .map(({transcript, confidence}) => ({word: transcript, score: confidence}));
+    }
+    
+    if (candidates.length === 0) {
+      // Show feedback about what words are possible (don't do this on every speech)
+      console.log(`No match found for: ${heard[0].transcript}`);
+      return;
+    }
+    
+    const [best, ...runnersUp] = candidates;
+    this.handleSpeechWord(best.word, best.score, runnersUp.map(candidate => candidate.word));
+  }
+
+  // Every dictionary word that can be claimed or stolen on the current
+  // board, or null if the word finder isn't available. Cached per board
+  // so a burst of speech results only searches once.
+  async getPlayableWords() {
+    const key = JSON.stringify([
+      this.gameState.flipped_tiles,
+      this.gameState.players.map(player => player.words.map(wordObj => wordObj.word))
+    ]);
+    
+    if (!this.playableWordsCache || this.playableWordsCache.key !== key) {
+      const promise = this.wordFinder.findPlays(this.gameState)
+        .then(plays => [...plays.claims, ...plays.steals.map(steal => steal.word)]);
+      this.playableWordsCache = {key, promise};
+    }
+    
+    try {
+      return await this.playableWordsCache.promise;
+    } catch (error) {
+      console.error('Word finder unavailable:', error);
+      this.playableWordsCache = null;
+      return null;
     }
+  }
+
+  loadSpeechSettings() {
+    const defaults = { backend: defaultBackend(), micMode: 'always', spellMode: false };
+    try {
+      const saved = JSON.parse(localStorage.getItem('cutthroat_anagrams_speech_settings'));
+      const settings = { ...defaults, ...saved };
+      if (!RECOGNIZER_BACKENDS[settings.backend]) settings.backend = defaults.backend;
+      if (!MIC_MODES.includes(settings.micMode)) settings.micMode = defaults.micMode;
+      return settings;
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveSpeechSettings() {
+    localStorage.setItem('cutthroat_anagrams_speech_settings', JSON.stringify(this.speechSettings));
+  }
+
+  setSpeechBackend(backend) {
+    if (!RECOGNIZER_BACKENDS[backend]) return;
     
-    // Show pause notification to other players immediately when modal appears
+    this.speechSettings.backend = backend;
+    this.saveSpeechSettings();
+    this.updateSpeechControls();
+    this.restartListening();
+  }
+
+  setMicMode(mode) {
+    if (!MIC_MODES.includes(mode)) return;
+    
+    this.speechSettings.micMode = mode;
+    this.saveSpeechSettings();
+    this.updateSpeechControls();
+    this.restartListening();
+  }
+
+  setSpellMode(enabled) {
+    this.speechSettings.spellMode = enabled;
+    this.saveSpeechSettings();
+    this.updateSpeechControls();
+    this.restartListening();
+  }
+
+  updateSpeechControls() {
+    document.getElementById('speech-backend-select').value = this.speechSettings.backend;
+    document.getElementById('mic-mode-select').value = this.speechSettings.micMode;
+    this.updateMicButton();
+    
+    const spellBtn = document.getElementById('spell-mode-toggle');
+    spellBtn.classList.toggle('btn-active', this.speechSettings.spellMode);
+    spellBtn.setAttribute('aria-pressed', this.speechSettings.spellMode ? 'true' : 'false');
+  }
+
+  handleSpeechWord(word, confidence, alternatives = []) {
+    if (this.discardWhileOffline(`"${word.toUpperCase()}"`)) return;
+    
+    const timestamp = Date.now();
+    
+    // Show confirmation modal with timer
+    this.showWordConfirmationModal(word, timestamp, alternatives);
+  }
+
+  showWordConfirmationModal(word, timestamp, alternatives = []) {
+    const modal = document.getElementById('word-confirmation-modal');
+    document.getElementById('recognized-word').textContent = word.toUpperCase();
+    document.getElementById('word-input').value = word;
+    this.showWordAlternatives(alternatives);
+    
+    // Store timestamp for confirmation
+    modal.dataset.timestamp = timestamp;
+    modal.dataset.word = word;
+    
+    modal.dataset.pauseBroadcast = '';
+    
+    // Check if this is a steal and show details
+    this.updateStealDetails(word);
+    this.updateDictionaryWarning(word);
+    
+    // Show pause notification to other players as soon as we know the word is real,
+    // so a misheard word never pauses the table
     // Note: This shows the originally detected word, which might be edited before confirmation
-    this.channel.push("word_being_confirmed", {
-      word: word,
-      timestamp: timestamp,
-      player_name: this.playerName
+    this.isDictionaryWord(word).then(valid => {
+      if (valid && modal.classList.contains('modal-open') && modal.dataset.timestamp === String(timestamp)) {
+        this.broadcastWordBeingConfirmed(word, timestamp);
+      }
     });
     
     modal.classList.add('modal-open');
     
     // Start countdown timer
-    let timeLeft = 5;
+    let timeLeft = Math.round(this.gameState.settings.confirmation_ms / 1000);
     const timerEl = document.getElementById('confirmation-timer');
     timerEl.textContent = timeLeft;
     
@@ -800,14 +1706,45 @@ class CutthroatAnagramsGame {
     modal.dataset.countdownInterval = countdownInterval;
   }
 
-  confirmWord() {
+  // Other words the recognizer might have heard, one tap to swap in
+  showWordAlternatives(alternatives) {
+    const container = document.getElementById('word-alternatives');
+    const list = document.getElementById('word-alternatives-list');
+    
+    container.classList.toggle('hidden', alternatives.length === 0);
+    list.innerHTML = '';
+    alternatives.forEach(alternative => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-sm btn-outline';
+      button.textContent = alternative.toUpperCase();
+      button.onclick = () => this.selectWordAlternative(alternative);
+      list.appendChild(button);
+    });
+  }
+
+  selectWordAlternative(word) {
+    const input = document.getElementById('word-input');
+    const previous = input.value.trim().toLowerCase();
+    
+    input.value = word;
+    document.getElementById('recognized-word').textContent = word.toUpperCase();
+    this.updateWordBeingConfirmed(word);
+    this.updateStealDetails(word);
+    this.updateDictionaryWarning(word);
+    
+    // Swap the tapped word and the one it replaced
+    const alternatives = [...document.querySelectorAll('#word-alternatives-list button')]
+      .map(button => button.textContent.toLowerCase())
+      .map(alternative => alternative === word ? previous : alternative)
+      .filter(Boolean);
+    this.showWordAlternatives(alternatives);
+  }
+
+  async confirmWord() {
     const modal = document.getElementById('word-confirmation-modal');
     const word = document.getElementById('word-input').value.trim().toLowerCase();
     const timestamp = parseInt(modal.dataset.timestamp);
     
-    // Reset the flip countdown timer when confirming a word
-    this.resetFlipCountdown();
-    
     // Clear countdown timer
     if (modal.dataset.countdownInterval) {
       clearInterval(parseInt(modal.dataset.countdownInterval));
@@ -818,12 +1755,21 @@ class CutthroatAnagramsGame {
       return;
     }
     
+    // Don't send words the server is going to reject anyway
+    if (!(await this.isDictionaryWord(word))) {
+      this.showNotification(this.notAWordMessage(word), 'warning');
+      this.cancelWord();
+      return;
+    }
+    
+    if (this.discardWhileOffline(`"${word.toUpperCase()}"`)) {
+      this.cancelWord();
+      return;
+    }
+    
     // Update the pause modal to show the actual word being claimed (in case user edited it)
-    if (word !== modal.dataset.word) {
-      this.channel.push("word_being_confirmed", {
-        word: word,
-        timestamp: timestamp,
-        player_name: this.playerName,
+    if (word !== modal.dataset.word || !modal.dataset.pauseBroadcast) {
+      this.broadcastWordBeingConfirmed(word, timestamp, {
         updated: true // Flag to indicate this is the final word, not the initial detection
       });
     }
@@ -866,9 +1812,52 @@ class CutthroatAnagramsGame {
       clearInterval(parseInt(modal.dataset.countdownInterval));
     }
     
+    // Release the other players if we'd already paused them
+    if (modal.dataset.pauseBroadcast) {
+      this.channel.push("cancel_claim", {
+        word: word,
+        timestamp: timestamp
+      });
+      modal.dataset.pauseBroadcast = '';
+    }
+    
     modal.classList.remove('modal-open');
   }
 
+  broadcastWordBeingConfirmed(word, timestamp, flags = {}) {
+    const modal = document.getElementById('word-confirmation-modal');
+    modal.dataset.pauseBroadcast = 'true';
+    
+    this.channel.push("word_being_confirmed", {
+      word: word,
+      timestamp: timestamp,
+      player_name: this.playerName,
+      ...flags
+    });
+  }
+
+  async updateDictionaryWarning(word) {
+    const warningEl = document.getElementById('dictionary-warning');
+    word = (word || '').trim().toLowerCase();
+    
+    if (word.length < 2) {
+      warningEl.classList.add('hidden');
+      return;
+    }
+    
+    const valid = await this.isDictionaryWord(word);
+    
+    // Ignore answers for a word that has since been edited
+    if (document.getElementById('word-input').value.trim().toLowerCase() !== word) return;
+    
+    if (valid) {
+      warningEl.classList.add('hidden');
+    } else {
+      warningEl.textContent = this.notAWordMessage(word);
+      warningEl.classList.remove('hidden');
+    }
+  }
+
   updateWordBeingConfirmed(newWord) {
     // Throttle updates to avoid spam - only send if word is different and has minimum length
     if (!newWord || newWord.length < 2) return;
@@ -882,11 +1871,11 @@ class CutthroatAnagramsGame {
     }
     
     // Send update after a short delay to avoid excessive network calls
-    this.wordUpdateThrottle = setTimeout(() => {
-      this.channel.push("word_being_confirmed", {
-        word: newWord.trim(),
-        timestamp: timestamp,
-        player_name: this.playerName,
+    this.wordUpdateThrottle = setTimeout(async () => {
+      // Half-typed words that aren't in the dictionary don't pause anyone
+      if (!(await this.isDictionaryWord(newWord.trim()))) return;
+      
+      this.broadcastWordBeingConfirmed(newWord.trim(), timestamp, {
         updated: true,
         real_time: true // Flag to indicate this is a real-time update
       });
@@ -898,8 +1887,18 @@ class CutthroatAnagramsGame {
     
     word = word.toLowerCase().trim();
     const stealDetails = document.getElementById('steal-details');
+    
+    // Look again once the strict rules have the roots they need
+    this.loadWordRoots(word).then(loaded => {
+      if (loaded && document.getElementById('word-input').value.toLowerCase().trim() === word) {
+        this.updateStealDetails(word);
+      }
+    });
     const canFormFromTiles = this.canFormWordFromTiles(word, this.gameState.flipped_tiles);
     
+    // Warn about steal rules before anything is sent to the server
+    this.updateStealRuleWarning(canFormFromTiles ? null : this.stealPlanner.explainRejection(word, this.gameState));
+    
     if (!canFormFromTiles) {
       // This is a steal - figure out what's being stolen
       const stealingInfo = this.determineStealingStrategy(word);
@@ -936,7 +1935,7 @@ class CutthroatAnagramsGame {
           }
         });
         
-        const wordLetters = word.toUpperCase().split('');
+        const wordLetters = tokenizeWord(word, this.language) || [];
         const newLetters = [...wordLetters];
         
         // Remove stolen letters from new letters to find what's being added
@@ -970,7 +1969,39 @@ class CutthroatAnagramsGame {
     }
   }
 
-  manualClaimWord() {
+  // The strict steal rules compare roots found with the worker's dictionary:
+  // fetch any missing for this word and the words it could steal. Resolves
+  // true if there were any.
+  async loadWordRoots(word) {
+    if (this.gameState.settings.steal_rules !== 'strict') return false;
+    
+    const words = [word, ...this.gameState.players.flatMap(player => player.words.map(wordObj => wordObj.word))]
+      .filter(candidate => !this.wordRoots.has(candidate));
+    if (words.length === 0) return false;
+    
+    try {
+      const roots = await this.wordFinder.wordRoots([...new Set(words)]);
+      Object.entries(roots).forEach(([candidate, candidateRoots]) => this.wordRoots.set(candidate, candidateRoots));
+      return true;
+    } catch (error) {
+      // Dictionary not available (yet) - the server will still explain a rejection
+      console.error('Offline dictionary unavailable:', error);
+      return false;
+    }
+  }
+
+  updateStealRuleWarning(violation) {
+    const warningEl = document.getElementById('steal-rule-warning');
+    
+    if (violation) {
+      warningEl.textContent = `Not a valid steal: ${violation.message}`;
+      warningEl.classList.remove('hidden');
+    } else {
+      warningEl.classList.add('hidden');
+    }
+  }
+
+  async manualClaimWord() {
     const input = document.getElementById('manual-word-input');
     const word = input.value.trim().toLowerCase();
     
@@ -979,26 +2010,38 @@ class CutthroatAnagramsGame {
       return;
     }
     
-    // Reset the flip countdown timer when attempting to claim a word
-    this.resetFlipCountdown();
-    
     if (word.length < this.gameState.min_word_length) {
       this.showNotification(`Word must be at least ${this.gameState.min_word_length} letters`, 'warning');
       return;
     }
     
+    await this.loadWordRoots(word);
+    
     // Check if word can be formed (same logic as voice recognition)
     const canFormFromTiles = this.canFormWordFromTiles(word, this.gameState.flipped_tiles);
     const canFormByStealingOrClaiming = this.canFormWordByStealingOrClaiming(word);
     
     if (!canFormFromTiles && !canFormByStealingOrClaiming) {
-      this.showNotification(`"${word.toUpperCase()}" cannot be formed from available tiles`, 'warning');
+      // The letters might be there but the steal breaks a rule - say which one
+      const violation = this.stealPlanner.explainRejection(word, this.gameState);
+      if (violation) {
+        this.showNotification(`Not a valid steal: ${violation.message}`, 'warning');
+      } else {
+        this.showPossibleWords(word, this.gameState.flipped_tiles);
+      }
+      return;
+    }
+    
+    if (!(await this.isDictionaryWord(word))) {
+      this.showNotification(this.notAWordMessage(word), 'warning');
       return;
     }
     
     // Clear the input
     input.value = '';
     
+    if (this.discardWhileOffline(`"${word.toUpperCase()}"`)) return;
+    
     // Directly claim the word without showing confirmation dialog or pause notification
     const timestamp = Date.now();
     
@@ -1024,87 +2067,30 @@ class CutthroatAnagramsGame {
     }
   }
 
-  handleVoiceClaim(payload) {
-    // Reset the flip countdown timer when any voice claim is detected
-    this.resetFlipCountdown();
-    
-    // Don't show interrupt for our own claims
-    if (payload.player_id === this.playerId) return;
-    
-    // Check for timing conflicts
-    const existingClaim = Array.from(this.pendingClaims.values())
-      .find(claim => Math.abs(claim.timestamp - payload.timestamp) < 1000);
-    
-    if (existingClaim) {
-      // Potential tie - collect claims for coin flip
-      this.handlePotentialTie([existingClaim, payload]);
-    } else {
-      // Store claim and show interrupt modal
-      this.pendingClaims.set(payload.timestamp, payload);
-      this.showInterruptModal(payload);
-    }
-  }
-
-  showInterruptModal(payload) {
-    const modal = document.getElementById('interrupt-modal');
-    document.getElementById('claiming-player').textContent = payload.player_name;
-    document.getElementById('claimed-word').textContent = payload.word.toUpperCase();
-    
-    let countdown = 5;
-    document.getElementById('interrupt-timer').textContent = countdown;
-    
-    modal.classList.add('modal-open');
-    
-    const timer = setInterval(() => {
-      countdown--;
-      document.getElementById('interrupt-timer').textContent = countdown;
-      
-      if (countdown <= 0) {
-        clearInterval(timer);
-        modal.classList.remove('modal-open');
-      }
-    }, 1000);
-    
-    // Auto-close after countdown
-    setTimeout(() => {
-      modal.classList.remove('modal-open');
-    }, 5000);
-  }
-
-  handlePotentialTie(claims) {
-    // Show coin flip modal
+  // The server settled competing claims that landed at the same moment with
+  // a coin flip - show who was in it and who won
+  showCoinFlipResult(payload) {
     const modal = document.getElementById('coinflip-modal');
     const playersDiv = document.getElementById('tie-players');
+    const resultDiv = document.getElementById('coin-result');
+    const isWinner = (claim) => payload.winner &&
+      claim.player_id === payload.winner.player_id && claim.word === payload.winner.word;
     
-    playersDiv.innerHTML = claims.map(claim => 
-      `<div class="text-center p-2 border rounded">
+    playersDiv.innerHTML = payload.claims.map(claim => 
+      `<div class="text-center p-2 border rounded ${isWinner(claim) ? 'border-success' : 'opacity-60'}">
         <strong>${claim.player_name}</strong><br>
         "${claim.word.toUpperCase()}"
       </div>`
     ).join('');
     
-    modal.classList.add('modal-open');
-  }
-
-  flipCoin() {
-    // Get current tie claims (simplified - in real implementation this would be managed by server)
-    const claims = Array.from(this.pendingClaims.values());
-    
-    this.channel.push("resolve_tie", {
-      claims: claims
-    });
-  }
-
-  showCoinFlipResult(payload) {
-    const modal = document.getElementById('coinflip-modal');
-    const resultDiv = document.getElementById('coin-result');
+    resultDiv.innerHTML = payload.winner
+      ? `<div class="text-success">
+          🪙 ${payload.winner.player_name} wins!<br>
+          Word: "${payload.winner.word.toUpperCase()}"
+        </div>`
+      : `<div class="text-warning">🪙 None of the words could be played</div>`;
     
-    resultDiv.innerHTML = `
-      <div class="text-success">
-        🎉 ${payload.winner.player_name} wins!<br>
-        Word: "${payload.winner.word.toUpperCase()}"
-      </div>
-    `;
+    modal.classList.add('modal-open');
     
     setTimeout(() => {
       modal.classList.remove('modal-open');
@@ -1112,12 +2098,16 @@ class CutthroatAnagramsGame {
   }
 
   showInterimSpeech(text) {
-    // Could show interim speech recognition results
-    // For now, we'll skip this to avoid UI clutter
+    // Only used for letters spelled so far - full interim results are too noisy
+    const display = document.getElementById('interim-speech');
+    display.textContent = text;
+    display.classList.remove('hidden');
   }
 
   hideInterimSpeech() {
-    // Hide interim speech display
+    const display = document.getElementById('interim-speech');
+    display.textContent = '';
+    display.classList.add('hidden');
   }
 
 
@@ -1228,13 +2218,34 @@ class CutthroatAnagramsGame {
     document.getElementById('game-screen').classList.add('hidden');
     document.getElementById('end-screen').classList.remove('hidden');
     
+    const bagLeft = `${payload.tiles_remaining} of ${payload.tiles_total} tiles were left in the bag`;
+    document.getElementById('end-reason').textContent =
+      payload.ended_by === 'time_up' ? `⏱ Time's up! ${bagLeft}.` : `${bagLeft}.`;
+    
     const scoresDiv = document.getElementById('final-scores');
-    scoresDiv.innerHTML = payload.final_scores.map((score, index) => 
-      `<div class="flex justify-between items-center p-2 ${index === 0 ? 'bg-primary text-primary-content rounded' : 'bg-base-200 rounded'}">
-        <span>${index + 1}. ${score.player_name}</span>
-        <span>${score.total_letters} letters (${score.word_count} words)</span>
-      </div>`
-    ).join('');
+    scoresDiv.innerHTML = payload.final_scores.map((score, index) => {
+      // How each word scored, then any steal adjustments
+      const wordScores = score.words.map(wordObj =>
+        `<span class="badge badge-ghost">${wordObj.word.toUpperCase()} ${wordObj.points}</span>`
+      ).join(' ');
+      
+      // Team games rank teams, each with its players' own scores
+      const name = score.players ? `Team ${score.team}` : score.player_name;
+      const members = score.players ? `<div class="text-xs mt-1">
+          ${score.players.map(player => `${player.player_name} ${player.score} pts`).join(' • ')}
+        </div>` : '';
+      
+      return `<div class="p-2 ${index === 0 ? 'bg-primary text-primary-content rounded' : 'bg-base-200 rounded'}">
+        <div class="flex justify-between items-center">
+          <span>${index + 1}. ${name}</span>
+          <span>${score.score} pts (${score.total_letters} letters, ${score.word_count} words)</span>
+        </div>
+        ${members}
+        <div class="flex flex-wrap gap-1 mt-1 text-xs">
+          ${wordScores} ${this.formatStealAdjustments(score)}
+        </div>
+      </div>`;
+    }).join('');
   }
 
   newGame() {
@@ -1248,12 +2259,12 @@ class CutthroatAnagramsGame {
     
     this.stopListening();
     this.stopFlipCountdown();
+    this.flipCountdownState = null;
     
     // Reset state
     this.gameState = null;
     this.playerId = null;
     this.gameId = null;
-    this.pendingClaims.clear();
     
     // Show setup screen
     document.getElementById('end-screen').classList.add('hidden');
@@ -1339,150 +2350,65 @@ class CutthroatAnagramsGame {
 
   // Check if a word can be formed by stealing from claimed words or using flipped tiles
   canFormWordByStealingOrClaiming(word) {
-    if (!this.gameState || !this.gameState.players) return false;
-    
-    const wordLetters = word.toUpperCase().split('');
-    const flippedTiles = [...this.gameState.flipped_tiles];
-    
-    // Get all claimed words from all players (including self for re-stealing)
-    const allClaimedWords = [];
-    this.gameState.players.forEach(player => {
-      player.words.forEach((wordObj, wordIndex) => {
-        allClaimedWords.push({
-          word: wordObj.word,
-          letters: wordObj.letters,
-          playerId: player.id,
-          wordIndex: wordIndex
-        });
-      });
-    });
-    
-    // Try every possible combination of stealing from claimed words
-    const maxWordsToSteal = Math.min(allClaimedWords.length, 3); // Limit complexity
-    
-    for (let numWordsToSteal = 0; numWordsToSteal <= maxWordsToSteal; numWordsToSteal++) {
-      if (numWordsToSteal === 0) {
-        // Just check if can form from flipped tiles only (already checked earlier)
-        continue;
-      }
-      
-      // Generate all combinations of words to steal
-      const combinations = this.generateCombinations(allClaimedWords, numWordsToSteal);
-      
-      for (const combination of combinations) {
-        // Collect all available letters from stolen words + flipped tiles
-        const availableLetters = [...flippedTiles];
-        combination.forEach(wordInfo => {
-          availableLetters.push(...wordInfo.letters);
-        });
-        
-        // Check if the target word can be formed
-        if (this.canFormWordFromTiles(word, availableLetters)) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
+    return this.findStealPlans(word).length > 0;
   }
 
-  // Determine the optimal stealing strategy for a given word
-  determineStealingStrategy(word) {
-    if (!this.gameState || !this.gameState.players) return null;
-    
-    const wordLetters = word.toUpperCase().split('');
-    const flippedTiles = [...this.gameState.flipped_tiles];
-    
-    // Get all claimed words from all players (including self for re-stealing)
-    const allClaimedWords = [];
-    this.gameState.players.forEach(player => {
-      player.words.forEach((wordObj, wordIndex) => {
-        allClaimedWords.push({
-          word: wordObj.word,
-          letters: wordObj.letters,
-          playerId: player.id,
-          wordIndex: wordIndex
-        });
-      });
-    });
-    
-    // Try to find the minimal stealing strategy (steal as few words as possible)
-    const maxWordsToSteal = Math.min(allClaimedWords.length, 3); // Limit complexity
-    
-    for (let numWordsToSteal = 1; numWordsToSteal <= maxWordsToSteal; numWordsToSteal++) {
-      const combinations = this.generateCombinations(allClaimedWords, numWordsToSteal);
-      
-      for (const combination of combinations) {
-        // Collect all available letters from stolen words + flipped tiles
-        const availableLetters = [...flippedTiles];
-        combination.forEach(wordInfo => {
-          availableLetters.push(...wordInfo.letters);
-        });
-        
-        // Check if the target word can be formed
-        if (this.canFormWordFromTiles(word, availableLetters)) {
-          // Format for the server's expected structure: {player_id: [word_indices]}
-          const fromPlayers = {};
-          combination.forEach(wordInfo => {
-            if (!fromPlayers[wordInfo.playerId]) {
-              fromPlayers[wordInfo.playerId] = [];
-            }
-            fromPlayers[wordInfo.playerId].push(wordInfo.wordIndex);
-          });
-          
-          return fromPlayers;
-        }
-      }
-    }
-    
-    return null; // No viable stealing strategy found
+  // Every legal way to steal this word, best first
+  findStealPlans(word) {
+    return this.stealPlanner.findPlans(word, this.gameState, this.playerId);
   }
 
-  // Generate combinations of array elements
-  generateCombinations(array, size) {
-    if (size === 0) return [[]];
-    if (size > array.length) return [];
-    
-    const result = [];
-    const generateCombos = (start, currentCombo) => {
-      if (currentCombo.length === size) {
-        result.push([...currentCombo]);
-        return;
-      }
-      
-      for (let i = start; i < array.length; i++) {
-        currentCombo.push(array[i]);
-        generateCombos(i + 1, currentCombo);
-        currentCombo.pop();
-      }
-    };
+  // Determine the optimal stealing strategy for a given word
+  determineStealingStrategy(word) {
+    const [bestPlan] = this.findStealPlans(word);
     
-    generateCombos(0, []);
-    return result;
+    // Format for the server's expected structure: {player_id: [word_indices]}
+    return bestPlan ? bestPlan.from_players : null;
   }
 
-  // Check if a word is valid in dictionary (cached check)
+  // Check if a word is valid in dictionary (cached check), after the
+  // game's house lists
   async isDictionaryWord(word) {
-    // Simple client-side cache to avoid repeated server calls
-    if (!this.dictionaryCache) {
-      this.dictionaryCache = new Map();
-    }
-    
-    const normalizedWord = word.toLowerCase();
+    const normalizedWord = foldWord(word, this.language);
+    const houseList = this.houseListFor(normalizedWord);
+    if (houseList) return houseList === 'allowed';
     
     if (this.dictionaryCache.has(normalizedWord)) {
       return this.dictionaryCache.get(normalizedWord);
     }
     
-    // We'll let the server handle dictionary validation for now
-    // In a production app, you might load a subset of the dictionary client-side
-    // For now, we'll rely on server validation during the claim process
-    return true; // Optimistically assume valid, server will validate
+    try {
+      const valid = await this.wordFinder.isWord(normalizedWord);
+      this.dictionaryCache.set(normalizedWord, valid);
+      return valid;
+    } catch (error) {
+      // Dictionary not available (yet) - let the server validate instead
+      console.error('Offline dictionary unavailable:', error);
+      return true;
+    }
+  }
+
+  // 'banned' or 'allowed' if the game's house lists have the (folded) word
+  houseListFor(normalizedWord) {
+    const settings = (this.gameState && this.gameState.settings) || {};
+    if ((settings.banned_words || []).includes(normalizedWord)) return 'banned';
+    if ((settings.allowed_words || []).includes(normalizedWord)) return 'allowed';
+    return null;
+  }
+
+  // Why isDictionaryWord turned `word` down
+  notAWordMessage(word) {
+    return this.houseListFor(foldWord(word, this.language)) === 'banned'
+      ? `"${word.toUpperCase()}" is banned in this game`
+      : `"${word.toUpperCase()}" is not in the dictionary`;
   }
 
   // Helper function to check if a word can be formed from available tiles
   canFormWordFromTiles(word, availableTiles) {
-    const wordLetters = word.toUpperCase().split('');
+    // Split into the game's tiles, so Spanish "llama" needs an LL tile
+    const wordLetters = tokenizeWord(word, this.language);
+    if (!wordLetters) return false;
+    
     const tileCount = {};
     
     // Count available tiles
@@ -1517,6 +2443,8 @@ class CutthroatAnagramsGame {
 
   // Enhanced notification with type
   showNotification(message, type = 'info') {
+    this.announce(message, type === 'error');
+    
     const toast = document.createElement('div');
     toast.className = 'toast toast-top toast-center';
     
@@ -1532,72 +2460,16 @@ class CutthroatAnagramsGame {
     }, 4000); // Show warning longer
   }
 
-  // Find the best word match using fuzzy matching
-  findBestWordMatch(transcribedWord, availableTiles) {
-    const variations = this.generateWordVariations(transcribedWord);
-    
-    // Check each variation to see if it can be formed from available tiles
-    for (const variation of variations) {
-      if (this.canFormWordFromTiles(variation, availableTiles)) {
-        return variation;
-      }
-    }
-    
-    return null;
-  }
-
-  // Generate phonetically similar variations of the transcribed word
-  generateWordVariations(word) {
-    const variations = [word.toLowerCase()];
-    
-    // Common speech recognition mistakes and phonetic variations
-    const substitutions = [
-      // Common confusions
-      ['access', 'axes'], ['taxes', 'axes'], ['axis', 'axes'],
-      ['seas', 'sees'], ['see', 'sea'], ['peace', 'piece'],
-      ['there', 'their'], ['where', 'were'], ['here', 'hear'],
-      // Letter substitutions
-      ['s', 'z'], ['c', 'k'], ['ph', 'f'], ['ght', 't'],
-      // Common endings
-      ['es', 's'], ['ed', 'd'], ['ing', 'in'],
-      // Vowel confusions
-      ['a', 'e'], ['e', 'i'], ['o', 'u'], ['i', 'y']
-    ];
-    
-    // Apply substitutions
-    substitutions.forEach(([from, to]) => {
-      if (word.includes(from)) {
-        variations.push(word.replace(from, to));
-      }
-      if (word.includes(to)) {
-        variations.push(word.replace(to, from));
-      }
-    });
-    
-    // Try removing common endings
-    const endings = ['s', 'es', 'ed', 'ing', 'er', 'est'];
-    endings.forEach(ending => {
-      if (word.endsWith(ending) && word.length > ending.length + 2) {
-        variations.push(word.slice(0, -ending.length));
-      }
-    });
-    
-    // Try adding common endings to shorter words
-    if (word.length >= 3) {
-      endings.forEach(ending => {
-        variations.push(word + ending);
-      });
-    }
-    
-    // Remove duplicates and filter by length
-    return [...new Set(variations)].filter(v => 
-      v.length >= this.gameState.min_word_length && v.length <= word.length + 2
-    );
-  }
-
   // Show possible words that could be formed from available tiles
-  showPossibleWords(transcribedWord, availableTiles) {
-    const possibleWords = this.generatePossibleWordsFromTiles(availableTiles);
+  async showPossibleWords(transcribedWord, availableTiles) {
+    let possibleWords;
+    try {
+      possibleWords = await this.generatePossibleWordsFromTiles(availableTiles);
+    } catch (error) {
+      console.error('Word finder unavailable:', error);
+      this.showNotification(`"${transcribedWord.toUpperCase()}" cannot be formed from available tiles`, 'warning');
+      return;
+    }
     
     if (possibleWords.length > 0) {
       const wordList = possibleWords.slice(0, 5).join(', '); // Show first 5
@@ -1613,20 +2485,16 @@ class CutthroatAnagramsGame {
     }
   }
 
-  // Generate possible words from available tiles (simplified approach)
-  generatePossibleWordsFromTiles(tiles) {
-    // This is a simplified version - in a real implementation, 
-    // you might want to use a dictionary API or precomputed word list
-    const commonWords = [
-      'the', 'and', 'are', 'sea', 'see', 'ate', 'tea', 'ear', 'era',
-      'axes', 'axe', 'sex', 'hex', 'ex', 'ox', 'box', 'fox', 'six',
-      'tree', 'free', 'three', 'there', 'these', 'ease', 'tease'
-    ];
+  // Generate possible words from the current board using the word finder.
+  // Steals come first since they swing the score both ways, then pool claims.
+  async generatePossibleWordsFromTiles(tiles) {
+    const gameState = {...this.gameState, flipped_tiles: tiles};
+    const plays = await this.wordFinder.findPlays(gameState);
     
-    return commonWords.filter(word => 
-      word.length >= this.gameState.min_word_length &&
-      this.canFormWordFromTiles(word, tiles)
-    );
+    return [
+      ...plays.steals.map(steal => steal.word),
+      ...plays.claims
+    ].map(word => word.toUpperCase());
   }
 
   // Session Management Functions
@@ -1648,6 +2516,12 @@ class CutthroatAnagramsGame {
     const urlParams = new URLSearchParams(window.location.search);
     const gameCodeFromUrl = urlParams.get('game');
     
+    // Watch links (?game=ABC123&watch=1) go straight to the board
+    if (gameCodeFromUrl && urlParams.get('watch') === '1') {
+      this.watchGame(gameCodeFromUrl);
+      return;
+    }
+    
     // First, check for URL parameter
     if (gameCodeFromUrl) {
       const existingSession = localStorage.getItem(`cutthroat_anagrams_game_${gameCodeFromUrl}`);
@@ -1773,9 +2647,26 @@ class CutthroatAnagramsGame {
   }
 }
 
+// Team numbers 1 to count; none for count 0
+function teamNumbers(count) {
+  return Array.from({ length: count || 0 }, (_, i) => i + 1);
+}
+
+// Wait between reconnect attempts: 0.5s doubling up to 15s, with jitter so
+// a whole table dropped by the same blip doesn't come back in lockstep
+function reconnectBackoff(tries) {
+  const delay = Math.min(500 * 2 ** (tries - 1), 15000);
+  return delay * (0.8 + Math.random() * 0.4);
+}
+
+// The LENGTH_TIERS entry for a word this many tiles long
+function lengthTier(letterCount) {
+  return LENGTH_TIERS.find(tier => letterCount >= tier.min);
+}
+
 // Initialize game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   window.game = new CutthroatAnagramsGame();
 });
 
-export default CutthroatAnagramsGame;
\ No newline at end of file
+export default CutthroatAnagramsGame;
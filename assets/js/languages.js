@@ -0,0 +1,48 @@
+// Client copy of the server's languages (CutthroatAnagrams.Languages).
+// Both sides read the same priv/languages.json, so a word splits into the
+// same tiles in the browser as on the server.
+import languages from "../../priv/languages.json";
+
+export const LANGUAGES = languages;
+
+const letterSets = new Map(
+  Object.entries(languages).map(([code, language]) => [code, new Set(language.alphabet)])
+);
+
+// `word` upper-cased as it's spelled in the language's tiles, with accents
+// dropped from letters that aren't tiles of their own ("café" -> "CAFE" in
+// French, but "año" keeps its Ñ in Spanish)
+export function normalizeWord(word, language = 'en') {
+  const letters = letterSets.get(language);
+
+  return Array.from(word.normalize('NFC').toUpperCase())
+    .map(letter => letters.has(letter) ? letter : letter.normalize('NFD').replace(/\p{Mn}/gu, ''))
+    .join('');
+}
+
+// The lower-case form the dictionary stores words in
+export function foldWord(word, language = 'en') {
+  return normalizeWord(word, language).toLowerCase();
+}
+
+// Split `word` into the language's tiles, reading digraphs such as Spanish
+// LL or Dutch IJ first, or null if it has a letter there's no tile for
+export function tokenizeWord(word, language = 'en') {
+  const letters = letterSets.get(language);
+  const chars = Array.from(normalizeWord(word, language));
+  const tiles = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const digraph = chars[i] + (chars[i + 1] || '');
+    if (i + 1 < chars.length && letters.has(digraph)) {
+      tiles.push(digraph);
+      i++;
+    } else if (letters.has(chars[i])) {
+      tiles.push(chars[i]);
+    } else {
+      return null;
+    }
+  }
+
+  return tiles;
+}
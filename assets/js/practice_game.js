@@ -0,0 +1,616 @@
+// Solo practice: the whole game loop running in the browser against local
+// bots. PracticeGame follows GameServer's rules and hands the game client a
+// PracticeChannel that speaks the same events as the real game channel, so
+// the normal rendering code drives practice games unchanged.
+import { checkSteal } from "./steal_rules.js";
+
+// Same distribution as the server's standard "scrabble" bag (TileBags)
+const SCRABBLE_TILES = {
+  A: 9, B: 2, C: 2, D: 4, E: 12, F: 2, G: 3, H: 2,
+  I: 9, J: 1, K: 1, L: 4, M: 2, N: 6, O: 8, P: 2,
+  Q: 1, R: 6, S: 4, T: 6, U: 4, V: 2, W: 2, X: 1,
+  Y: 2, Z: 1
+};
+
+// How long a bot takes to spot a word after the board changes, and to flip on its turn
+export const BOT_SPEEDS = {
+  slow: { thinkMs: 9000, flipMs: 3000 },
+  normal: { thinkMs: 5000, flipMs: 2000 },
+  fast: { thinkMs: 2500, flipMs: 1000 }
+};
+
+// How much of the dictionary a bot knows, and the longest word it will see
+export const BOT_STRENGTHS = {
+  casual: { vocabulary: 0.3, maxWordLength: 5 },
+  club: { vocabulary: 0.6, maxWordLength: 7 },
+  expert: { vocabulary: 1, maxWordLength: Infinity }
+};
+
+// Same as GameServer's default settings
+const AUTO_FLIP_MS = 10000;
+const CONFIRMATION_MS = 5000;
+
+export const HUMAN_PLAYER_ID = 'practice-player';
+
+export class PracticeGame {
+  constructor({ wordFinder, minWordLength = 4, botCount = 1, botSpeed = 'normal', botStrength = 'club' }) {
+    this.wordFinder = wordFinder;
+    this.channel = null;
+    this.state = {
+      status: 'waiting',
+      players: [],
+      tile_bag: createTileBag(),
+      flipped_tiles: [],
+      min_word_length: minWordLength,
+      current_turn: null,
+      game_started_at: null,
+      end_votes: []
+    };
+
+    this.bots = Array.from({ length: botCount }, (_, i) => new PracticeBot(this, {
+      id: `practice-bot-${i + 1}`,
+      name: botCount === 1 ? 'Bot' : `Bot ${i + 1}`,
+      speed: BOT_SPEEDS[botSpeed] || BOT_SPEEDS.normal,
+      strength: BOT_STRENGTHS[botStrength] || BOT_STRENGTHS.club
+    }));
+
+    // Bots hold off while the human is confirming a word, like everyone else does
+    this.paused = false;
+
+    // Flips for whoever's turn it is when nobody does: {timer, deadline}
+    this.autoFlip = null;
+  }
+
+  createChannel(playerName) {
+    this.channel = new PracticeChannel(this, playerName);
+    return this.channel;
+  }
+
+  join(playerName) {
+    this.addPlayer(HUMAN_PLAYER_ID, playerName);
+    this.bots.forEach(bot => this.addPlayer(bot.id, bot.name));
+
+    this.state.status = 'playing';
+    this.state.current_turn = HUMAN_PLAYER_ID;
+    this.state.game_started_at = Date.now();
+
+    this.scheduleAutoFlip();
+    this.scheduleBots();
+    return { player_id: HUMAN_PLAYER_ID, game_state: this.serialize() };
+  }
+
+  addPlayer(id, name) {
+    this.state.players.push({ id, name, words: [], score: 0, connected: true });
+  }
+
+  // Channel events
+
+  async handleIn(event, payload, playerId) {
+    switch (event) {
+      case 'flip_tile':
+        return this.flipTile(playerId);
+
+      case 'confirm_claim':
+        return this.claimWord(playerId, payload.word, payload.timestamp, 'claim_confirmed');
+
+      case 'steal_word':
+        return this.stealWord(playerId, payload.word, payload.from_players, payload.timestamp);
+
+      case 'word_being_confirmed':
+        this.paused = true;
+        this.scheduleAutoFlip();
+        this.broadcast('flip_timer', { auto_flip_remaining_ms: this.autoFlipRemainingMs() });
+        return { ok: {} };
+
+      case 'cancel_claim':
+        this.resume();
+        return { ok: {} };
+
+      case 'vote_to_end':
+        return this.voteToEnd(playerId);
+
+      case 'end_game':
+        this.finish('ended');
+        return { ok: {} };
+
+      default:
+        // Voice claims and tie breaks have no one else to coordinate with offline
+        return { ok: {} };
+    }
+  }
+
+  flipTile(playerId) {
+    if (this.state.status !== 'playing') return { error: 'game_not_started' };
+    if (this.state.current_turn !== playerId) return { error: 'not_your_turn' };
+    if (this.state.tile_bag.length === 0) return { error: 'no_tiles_left' };
+
+    const tile = this.flipNextTile(playerId);
+    this.broadcast('tile_flipped', { tile, player_id: playerId, game_state: this.serialize() });
+    this.scheduleBots();
+    return { ok: {} };
+  }
+
+  // The countdown ran out: flip on behalf of whoever's turn it is
+  autoFlipTile() {
+    this.autoFlip = null;
+    if (this.state.status !== 'playing' || this.state.tile_bag.length === 0) return;
+
+    const tile = this.flipNextTile(this.state.current_turn);
+    this.broadcast('tile_flipped', { tile, player_id: null, auto: true, game_state: this.serialize() });
+    this.scheduleBots();
+  }
+
+  flipNextTile(playerId) {
+    const tile = this.state.tile_bag.shift();
+    this.state.flipped_tiles.push(tile);
+    this.state.current_turn = this.nextPlayer(playerId);
+    this.scheduleAutoFlip();
+    return tile;
+  }
+
+  // Restart the countdown, or stop it once there's nothing left to flip
+  scheduleAutoFlip() {
+    this.cancelAutoFlip();
+    if (this.state.status !== 'playing' || this.state.tile_bag.length === 0) return;
+
+    this.autoFlip = {
+      timer: setTimeout(() => this.autoFlipTile(), AUTO_FLIP_MS),
+      deadline: Date.now() + AUTO_FLIP_MS
+    };
+  }
+
+  cancelAutoFlip() {
+    if (this.autoFlip) clearTimeout(this.autoFlip.timer);
+    this.autoFlip = null;
+  }
+
+  autoFlipRemainingMs() {
+    return this.autoFlip ? Math.max(this.autoFlip.deadline - Date.now(), 0) : null;
+  }
+
+  // `event` is what the real channel would broadcast: claim_confirmed for
+  // the human's confirmed claims, word_claimed for everything else
+  async claimWord(playerId, word, timestamp, event = 'word_claimed') {
+    const error = await this.validateWord(word);
+    const wordLetters = word.toUpperCase().split('');
+
+    if (error || !this.canForm(wordLetters, this.state.flipped_tiles)) {
+      this.reject(playerId, word, error || 'invalid_tiles');
+      return { ok: {} };
+    }
+
+    this.state.flipped_tiles = removeLetters(this.state.flipped_tiles, wordLetters);
+    const player = this.player(playerId);
+    player.words.push({ word, claimed_at: timestamp, letters: wordLetters });
+    player.score = scoreWords(player.words);
+    this.scheduleAutoFlip();
+
+    this.broadcast(event, {
+      player_id: playerId,
+      player_name: player.name,
+      word,
+      timestamp,
+      game_state: this.serialize()
+    });
+    this.resume();
+    return { ok: {} };
+  }
+
+  async stealWord(playerId, word, fromPlayers, timestamp) {
+    const wordLetters = word.toUpperCase().split('');
+
+    // Indices shift as words are stolen, so hold on to the words themselves
+    // while the dictionary check is out - like the server's stolen_word_refs
+    const refs = Object.entries(fromPlayers).flatMap(([victimId, indices]) =>
+      indices.map(index => ({ victimId, wordObj: this.player(victimId)?.words[index] }))
+    );
+    if (refs.length === 0 || refs.some(ref => !ref.wordObj)) {
+      this.reject(playerId, word, 'invalid_steal');
+      return { ok: {} };
+    }
+
+    let error = await this.validateWord(word);
+
+    // Someone else may have taken one of them in the meantime
+    const current = refs.map(ref => ({ ...ref, index: this.player(ref.victimId).words.indexOf(ref.wordObj) }));
+    if (!error && current.some(ref => ref.index === -1)) error = 'word_already_stolen';
+
+    const stolen = refs.map(ref => ref.wordObj);
+    const stolenLetters = stolen.flatMap(wordObj => wordObj.letters);
+    const usedFlipped = removeLetters(wordLetters, stolenLetters);
+
+    if (!error && !this.canForm(wordLetters, [...stolenLetters, ...this.state.flipped_tiles])) {
+      error = 'invalid_steal';
+    }
+    if (!error) {
+      const violation = checkSteal(word, stolen.map(wordObj => wordObj.word), usedFlipped);
+      error = violation && violation.reason;
+    }
+
+    if (error) {
+      this.reject(playerId, word, error);
+      return { ok: {} };
+    }
+
+    // Where the words are now, which is what everyone's told
+    fromPlayers = {};
+    current.forEach(({ victimId, index }) => {
+      fromPlayers[victimId] = [...(fromPlayers[victimId] || []), index];
+    });
+
+    // Remove words from victims, highest index first so the rest stay put
+    Object.entries(fromPlayers).forEach(([victimId, indices]) => {
+      const victim = this.player(victimId);
+      [...indices].sort((a, b) => b - a).forEach(index => victim.words.splice(index, 1));
+      victim.score = scoreWords(victim.words);
+    });
+
+    this.state.flipped_tiles = removeLetters(this.state.flipped_tiles, usedFlipped);
+    const player = this.player(playerId);
+    player.words.push({ word, claimed_at: timestamp, letters: wordLetters, stolen_from: fromPlayers });
+    player.score = scoreWords(player.words);
+    this.scheduleAutoFlip();
+
+    this.broadcast('word_stolen', {
+      player_id: playerId,
+      player_name: player.name,
+      word,
+      from_players: fromPlayers,
+      timestamp,
+      game_state: this.serialize()
+    });
+    this.resume();
+    return { ok: {} };
+  }
+
+  async validateWord(word) {
+    if (this.state.status !== 'playing') return 'game_not_started';
+    if (word.length < this.state.min_word_length) return 'word_too_short';
+
+    // A word list that didn't load rejects the claim rather than the whole
+    // push, so the claimer hears back and the bots pick up again
+    try {
+      if (!(await this.wordFinder.isWord(word))) return 'not_in_dictionary';
+    } catch (error) {
+      console.error('Practice dictionary unavailable:', error);
+      return 'dictionary_unavailable';
+    }
+    return null;
+  }
+
+  canForm(wordLetters, available) {
+    return removeLetters(available, wordLetters).length === available.length - wordLetters.length;
+  }
+
+  reject(playerId, word, reason) {
+    this.broadcast('claim_rejected', {
+      player_id: playerId,
+      player_name: this.player(playerId)?.name,
+      word,
+      reason
+    });
+    this.resume();
+  }
+
+  voteToEnd(playerId) {
+    if (this.state.status !== 'playing') return { error: 'game_not_started' };
+    if (this.state.end_votes.includes(playerId)) return { error: 'already_voted' };
+
+    this.state.end_votes.push(playerId);
+    // Bots vote once they're out of words, but it's the human's game: it
+    // only ends once they've voted too, however many bots agree
+    const humanVoted = this.state.end_votes.includes(HUMAN_PLAYER_ID);
+    if (humanVoted && this.state.end_votes.length >= this.endVotesNeeded()) {
+      this.finish('vote');
+    } else {
+      this.broadcast('vote_cast', {
+        player_id: playerId,
+        player_name: this.player(playerId).name,
+        game_state: this.serialize()
+      });
+    }
+    return { ok: {} };
+  }
+
+  // `endedBy` is why, as in GameServer.finish_game: 'vote' or 'ended'
+  finish(endedBy) {
+    this.stop();
+    this.state.status = 'finished';
+
+    const finalScores = this.state.players
+      .map(player => ({
+        player_id: player.id,
+        player_name: player.name,
+        words: scoredWords(player.words),
+        score: scoreWords(player.words),
+        total_letters: scoreWords(player.words),
+        word_count: player.words.length
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const winners = finalScores.filter(score => score.score === finalScores[0].score);
+
+    this.broadcast('game_ended', {
+      final_scores: finalScores,
+      winner: winners.length === 1 ? winners[0] : winners,
+      game_duration: Date.now() - this.state.game_started_at,
+      ended_by: endedBy,
+      tiles_remaining: this.state.tile_bag.length,
+      tiles_total: Object.values(SCRABBLE_TILES).reduce((total, count) => total + count, 0)
+    });
+  }
+
+  stop() {
+    this.cancelAutoFlip();
+    this.bots.forEach(bot => bot.cancel());
+  }
+
+  resume() {
+    this.paused = false;
+    this.scheduleBots();
+  }
+
+  scheduleBots() {
+    if (this.state.status !== 'playing') return;
+    this.bots.forEach(bot => bot.schedule());
+  }
+
+  // Helpers
+
+  player(playerId) {
+    return this.state.players.find(player => player.id === playerId);
+  }
+
+  nextPlayer(playerId) {
+    const index = this.state.players.findIndex(player => player.id === playerId);
+    return this.state.players[(index + 1) % this.state.players.length].id;
+  }
+
+  endVotesNeeded() {
+    return Math.ceil(this.state.players.length / 2);
+  }
+
+  broadcast(event, payload) {
+    if (this.channel) this.channel.dispatch(event, payload);
+  }
+
+  serialize() {
+    return {
+      status: this.state.status,
+      players: this.state.players.map(player => ({ ...player, words: scoredWords(player.words) })),
+      flipped_tiles: [...this.state.flipped_tiles],
+      tiles_remaining: this.state.tile_bag.length,
+      tile_distribution: SCRABBLE_TILES,
+      current_turn: this.state.current_turn,
+      host_id: null, // No lobby - practice starts straight away
+      language: 'en',
+      settings: {
+        min_word_length: this.state.min_word_length,
+        auto_flip_ms: AUTO_FLIP_MS,
+        confirmation_ms: CONFIRMATION_MS,
+        end_vote_percent: 50,
+        max_players: this.state.players.length,
+        tile_set: 'scrabble',
+        scoring: 'letters',
+        steal_bonus: 0,
+        blitz_minutes: 0,
+        teams: 0,
+        teammate_steals: 'rearrange',
+        steal_rules: 'classic',
+        banned_words: [],
+        allowed_words: []
+      },
+      min_word_length: this.state.min_word_length,
+      end_votes: [...this.state.end_votes],
+      end_votes_needed: this.endVotesNeeded(),
+      auto_flip_remaining_ms: this.autoFlipRemainingMs(),
+      game_clock_remaining_ms: null,
+      challenge: null, // Bots don't challenge, and nobody votes in practice
+      undoable: {}
+    };
+  }
+}
+
+// A computer opponent. After every change to the board it waits a while
+// (its speed), then looks for the best play among the words it knows
+// (its strength) and makes it. It also flips on its own turn.
+class PracticeBot {
+  constructor(game, { id, name, speed, strength }) {
+    this.game = game;
+    this.id = id;
+    this.name = name;
+    this.speed = speed;
+    this.strength = strength;
+    this.thinkTimer = null;
+    this.flipTimer = null;
+  }
+
+  schedule() {
+    this.cancel();
+
+    const jitter = () => 0.75 + Math.random() * 0.5;
+    this.thinkTimer = setTimeout(() => this.think(), this.speed.thinkMs * jitter());
+
+    if (this.game.state.current_turn === this.id) {
+      this.flipTimer = setTimeout(() => this.flip(), this.speed.flipMs * jitter());
+    }
+  }
+
+  cancel() {
+    clearTimeout(this.thinkTimer);
+    clearTimeout(this.flipTimer);
+    this.thinkTimer = null;
+    this.flipTimer = null;
+  }
+
+  flip() {
+    if (this.game.paused) {
+      this.flipTimer = setTimeout(() => this.flip(), this.speed.flipMs);
+      return;
+    }
+
+    if (this.game.state.tile_bag.length > 0) {
+      this.game.flipTile(this.id);
+    }
+  }
+
+  async think() {
+    if (this.game.paused || this.game.state.status !== 'playing') return;
+
+    const gameState = this.game.serialize();
+    let plays;
+    try {
+      plays = await this.game.wordFinder.findPlays(gameState);
+    } catch (error) {
+      console.error('Practice bot could not search for words:', error);
+      return;
+    }
+
+    // The board may have moved on while we were searching
+    if (this.game.paused || this.game.state.flipped_tiles.join('') !== gameState.flipped_tiles.join('')) return;
+
+    const play = this.choosePlay(plays);
+    const timestamp = Date.now();
+
+    if (play && play.from_players) {
+      this.game.stealWord(this.id, play.word, play.from_players, timestamp);
+    } else if (play) {
+      this.game.claimWord(this.id, play.word, timestamp);
+    } else if (gameState.tiles_remaining === 0 && !gameState.end_votes.includes(this.id)) {
+      // Nothing left for us to find
+      this.game.voteToEnd(this.id);
+    }
+  }
+
+  // Longest word we know, preferring steals from other players on a tie
+  choosePlay(plays) {
+    const candidates = [];
+
+    plays.steals.forEach(steal => {
+      const plan = steal.plans.find(p => !Object.keys(p.from_players).includes(this.id)) || steal.plans[0];
+      candidates.push({ word: steal.word, from_players: plan.from_players, bonus: 1 });
+    });
+    plays.claims.forEach(word => candidates.push({ word, bonus: 0 }));
+
+    return candidates
+      .filter(candidate => this.knows(candidate.word))
+      .sort((a, b) => (b.word.length + b.bonus) - (a.word.length + a.bonus))[0] || null;
+  }
+
+  // Whether this bot knows a word. Hashing instead of rolling dice means a
+  // bot consistently knows or doesn't know a given word.
+  knows(word) {
+    if (word.length > this.strength.maxWordLength) return false;
+
+    let hash = 0;
+    for (const char of this.id + word) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return (hash % 1000) < this.strength.vocabulary * 1000;
+  }
+}
+
+// Stands in for a Phoenix channel: same join/push/on/leave surface, but
+// backed by a PracticeGame instead of the server
+class PracticeChannel {
+  constructor(game, playerName) {
+    this.game = game;
+    this.playerName = playerName;
+    this.playerId = null;
+    this.handlers = new Map();
+  }
+
+  on(event, callback) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(callback);
+  }
+
+  // Deliver on a later tick, as a real broadcast would arrive
+  dispatch(event, payload) {
+    setTimeout(() => {
+      (this.handlers.get(event) || []).forEach(callback => callback(payload));
+    }, 0);
+  }
+
+  join() {
+    const push = new PracticePush();
+    setTimeout(() => {
+      const response = this.game.join(this.playerName);
+      this.playerId = response.player_id;
+      push.resolve('ok', response);
+    }, 0);
+    return push;
+  }
+
+  push(event, payload) {
+    const push = new PracticePush();
+    setTimeout(async () => {
+      const reply = await this.game.handleIn(event, payload, this.playerId);
+      if (reply.error) {
+        push.resolve('error', { reason: reply.error });
+      } else {
+        push.resolve('ok', reply.ok);
+      }
+    }, 0);
+    return push;
+  }
+
+  leave() {
+    this.game.stop();
+    this.handlers.clear();
+  }
+}
+
+// The `.receive(status, callback)` chain returned by join and push
+class PracticePush {
+  constructor() {
+    this.callbacks = {};
+    this.result = null;
+  }
+
+  receive(status, callback) {
+    this.callbacks[status] = callback;
+    if (this.result && this.result.status === status) {
+      callback(this.result.response);
+    }
+    return this;
+  }
+
+  resolve(status, response) {
+    this.result = { status, response };
+    if (this.callbacks[status]) {
+      this.callbacks[status](response);
+    }
+  }
+}
+
+function createTileBag() {
+  const tiles = Object.entries(SCRABBLE_TILES)
+    .flatMap(([letter, count]) => Array(count).fill(letter));
+
+  // Fisher-Yates shuffle
+  for (let i = tiles.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+  }
+  return tiles;
+}
+
+// Remove one copy of each of `letters` from `tiles`, skipping any that aren't there
+function removeLetters(tiles, letters) {
+  const remaining = [...tiles];
+  letters.forEach(letter => {
+    const index = remaining.indexOf(letter);
+    if (index > -1) remaining.splice(index, 1);
+  });
+  return remaining;
+}
+
+// Practice always scores a point per letter
+function scoredWords(words) {
+  return words.map(word => ({ ...word, points: word.letters.length }));
+}
+
+function scoreWords(words) {
+  return words.reduce((total, word) => total + word.letters.length, 0);
+}
@@ -0,0 +1,103 @@
+// Ranks what the recognizer heard against the words that can actually be
+// played right now. Each hypothesis is compared to each playable word by
+// how it sounds (Double Metaphone keys) and how it's spelled, weighted by
+// the recognizer's confidence in that hypothesis.
+import { doubleMetaphone } from "./double_metaphone.js";
+import { foldWord } from "./languages.js";
+
+// Below this a "match" is usually a different word that happens to rhyme
+const MIN_SCORE = 0.55;
+
+// How far apart in length heard and playable words can be and still match
+const MAX_LENGTH_DIFFERENCE = 3;
+
+export class SpeechMatcher {
+  // Transcripts are folded like dictionary words in `language`, so a
+  // recognizer's "café" can match a French CAFE
+  constructor(language = 'en') {
+    this.language = language;
+    this.keyCache = new Map(); // word -> [primary, secondary]
+  }
+
+  keysFor(word) {
+    if (!this.keyCache.has(word)) {
+      this.keyCache.set(word, doubleMetaphone(word));
+    }
+    return this.keyCache.get(word);
+  }
+
+  // Candidates for a recognizer result, best first: [{word, score}].
+  // `alternatives` is [{transcript, confidence}], `playableWords` every
+  // claim and steal on the board.
+  rank(alternatives, playableWords, limit = 4) {
+    const best = new Map();
+
+    this.heardWords(alternatives).forEach(({ heard, confidence }) => {
+      const heardKeys = this.keysFor(heard);
+
+      playableWords.forEach(word => {
+        if (Math.abs(word.length - heard.length) > MAX_LENGTH_DIFFERENCE) return;
+
+        const score = this.score(heard, heardKeys, word) * (0.6 + 0.4 * confidence);
+        if (score >= MIN_SCORE && score > (best.get(word) || 0)) {
+          best.set(word, score);
+        }
+      });
+    });
+
+    return [...best.entries()]
+      .map(([word, score]) => ({ word, score }))
+      .sort((a, b) => b.score - a.score || b.word.length - a.word.length)
+      .slice(0, limit);
+  }
+
+  // Recognizers sometimes split one word ("cast it", "re peat"), so try each
+  // token and the tokens run together
+  heardWords(alternatives) {
+    const heard = [];
+    alternatives.forEach(({ transcript, confidence }) => {
+      const tokens = foldWord(transcript, this.language).split(/[^\p{L}]+/u).filter(Boolean);
+      const joined = tokens.join('');
+      if (joined) heard.push({ heard: joined, confidence });
+      if (tokens.length > 1) {
+        tokens.forEach(token => heard.push({ heard: token, confidence: confidence * 0.9 }));
+      }
+    });
+    return heard;
+  }
+
+  score(heard, heardKeys, word) {
+    if (heard === word) return 1;
+
+    const [primary, secondary] = this.keysFor(word);
+    const phonetic = Math.max(
+      similarity(heardKeys[0], primary),
+      0.9 * similarity(heardKeys[0], secondary),
+      0.9 * similarity(heardKeys[1], primary),
+      0.9 * similarity(heardKeys[1], secondary)
+    );
+    const spelling = similarity(heard, word);
+
+    return 0.65 * phonetic + 0.35 * spelling;
+  }
+}
+
+// 1 for identical strings down to 0 for nothing in common
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,488 @@
+// Speech recognizer backends for voice claims. Every backend has the same
+// small surface, modelled on the Web Speech API:
+//
+//   recognizer.onresult = ({transcript, confidence, alternatives}) => ...  // final results only
+//   recognizer.onerror = ({code, message}) => ...
+//   await recognizer.start()
+//   recognizer.stop()
+//
+// so the game doesn't care whether words come from the browser, an offline
+// model or a test script. `alternatives` lists every hypothesis the backend
+// offered, best first, as [{transcript, confidence}]; the first one is
+// always the plain transcript/confidence.
+
+class Recognizer {
+  constructor() {
+    this.onresult = null;
+    this.onerror = null;
+    this.listening = false;
+  }
+
+  emitResult(transcript, confidence, alternatives = [{ transcript, confidence }]) {
+    if (this.listening && this.onresult) {
+      this.onresult({ transcript, confidence, alternatives });
+    }
+  }
+
+  emitError(code, message = code) {
+    if (this.onerror) {
+      this.onerror({ code, message });
+    }
+  }
+}
+
+// Chrome/Safari/Edge speech recognition (window.SpeechRecognition)
+export class WebSpeechRecognizer extends Recognizer {
+  static isSupported() {
+    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+  }
+
+  constructor({ lang = 'en-US', maxAlternatives = 5 } = {}) {
+    super();
+    this.lang = lang;
+    this.maxAlternatives = maxAlternatives;
+    this.recognition = null;
+    this.micStream = null;
+  }
+
+  async start() {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
+      throw new Error('Speech recognition not supported in this browser');
+    }
+
+    // Setup microphone with optimized audio settings for fast detection
+    this.micStream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        sampleRate: 22050, // Higher sample rate for better detection
+        echoCancellation: true,
+        noiseSuppression: false, // Disable to reduce processing delay
+        autoGainControl: true,
+        latency: 0.01 // Minimum latency for fast detection
+      }
+    });
+
+    // Initialize speech recognition with optimized settings
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = false; // Disable interim results for better performance
+    this.recognition.lang = this.lang;
+    this.recognition.maxAlternatives = this.maxAlternatives; // Ranked against playable words by the game
+    this.recognition.serviceURI = null; // Use default service for fastest response
+
+    this.recognition.onresult = (event) => {
+      // Process only the latest final result for performance
+      const lastResult = event.results[event.results.length - 1];
+      if (lastResult.isFinal) {
+        const alternatives = Array.from(lastResult, alternative => ({
+          transcript: alternative.transcript,
+          confidence: alternative.confidence || 0.5 // Default confidence if not available
+        }));
+        this.emitResult(alternatives[0].transcript, alternatives[0].confidence, alternatives);
+      }
+    };
+
+    this.recognition.onerror = (event) => {
+      this.emitError(event.error);
+    };
+
+    this.recognition.onend = () => {
+      // Restart if still listening
+      if (this.listening) {
+        setTimeout(() => {
+          if (this.listening && this.recognition) {
+            this.recognition.start();
+          }
+        }, 100);
+      }
+    };
+
+    this.listening = true;
+    this.recognition.start();
+  }
+
+  stop() {
+    this.listening = false;
+    if (this.recognition) {
+      this.recognition.stop();
+      this.recognition = null;
+    }
+    if (this.micStream) {
+      this.micStream.getTracks().forEach(track => track.stop());
+      this.micStream = null;
+    }
+  }
+}
+
+// Offline recognition with the Vosk WASM build (vosk-browser). Neither the
+// library nor the models ship with the app; drop them into priv/static/models
+// (see README) or point libraryUrl/modelUrl somewhere else. Each language
+// has its own model, named after its speech language: vosk-model-small-fr-fr.
+export class OfflineRecognizer extends Recognizer {
+  static isSupported() {
+    return typeof WebAssembly === 'object' && !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  constructor({ lang = 'en-US', libraryUrl = '/models/vosk.js', modelUrl = `/models/vosk-model-small-${lang.toLowerCase()}.tar.gz` } = {}) {
+    super();
+    this.libraryUrl = libraryUrl;
+    this.modelUrl = modelUrl;
+    this.micStream = null;
+    this.audioContext = null;
+    this.processor = null;
+  }
+
+  async start() {
+    const model = await loadVoskModel(this.libraryUrl, this.modelUrl);
+
+    this.micStream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        channelCount: 1
+      }
+    });
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContext();
+
+    const recognizer = new model.KaldiRecognizer(this.audioContext.sampleRate);
+    recognizer.setWords(true);
+    recognizer.on('result', (message) => {
+      const { text, result } = message.result;
+      if (!text) return;
+
+      // Average per-word confidence when the model reports it
+      const confidence = result && result.length > 0
+        ? result.reduce((sum, word) => sum + word.conf, 0) / result.length
+        : 0.8;
+      this.emitResult(text, confidence);
+    });
+
+    // ScriptProcessorNode is deprecated but is what vosk-browser consumes
+    this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+    this.processor.onaudioprocess = (event) => {
+      try {
+        recognizer.acceptWaveform(event.inputBuffer);
+      } catch (error) {
+        this.emitError('audio-capture', error.message);
+      }
+    };
+
+    const source = this.audioContext.createMediaStreamSource(this.micStream);
+    source.connect(this.processor);
+    this.processor.connect(this.audioContext.destination);
+
+    this.listening = true;
+  }
+
+  stop() {
+    this.listening = false;
+    if (this.processor) {
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    if (this.micStream) {
+      this.micStream.getTracks().forEach(track => track.stop());
+      this.micStream = null;
+    }
+  }
+}
+
+// Loading a model takes seconds, so keep each one for the rest of the session
+const voskModelPromises = new Map();
+
+function loadVoskModel(libraryUrl, modelUrl) {
+  if (!voskModelPromises.has(modelUrl)) {
+    // The library is shared by every model
+    const voskModelPromise = (window.Vosk ? Promise.resolve() : loadScript(libraryUrl))
+      .then(() => {
+        if (!window.Vosk) {
+          throw new Error(`Offline speech library did not load from ${libraryUrl}`);
+        }
+        return window.Vosk.createModel(modelUrl);
+      });
+    voskModelPromises.set(modelUrl, voskModelPromise);
+
+    voskModelPromise.catch(() => { voskModelPromises.delete(modelUrl); });
+  }
+  return voskModelPromises.get(modelUrl);
+}
+
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${url}`));
+    document.head.appendChild(script);
+  });
+}
+
+// Fake backend for automated tests: plays back a script of transcripts on
+// start (the game passes its `speechScript`), and `say()` injects more on
+// demand, e.g.
+//
+//   game.speechScript = [{ transcript: 'cast', delayMs: 500 }];
+//   game.setSpeechBackend('scripted');
+//   await game.toggleMicrophone();
+//   game.recognition.find(ScriptedRecognizer).say('tacos');
+export class ScriptedRecognizer extends Recognizer {
+  static isSupported() {
+    return true;
+  }
+
+  constructor({ script = [] } = {}) {
+    super();
+    this.script = script;
+    this.timers = [];
+  }
+
+  async start() {
+    this.listening = true;
+    this.script.forEach(({ transcript, confidence = 0.9, alternatives, delayMs = 0 }) => {
+      this.timers.push(setTimeout(() => this.say(transcript, confidence, alternatives), delayMs));
+    });
+  }
+
+  stop() {
+    this.listening = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  // `alternatives` are extra hypotheses after the main transcript, as
+  // strings or {transcript, confidence}
+  say(transcript, confidence = 0.9, alternatives = []) {
+    const extra = alternatives.map(alternative => typeof alternative === 'string'
+      ? { transcript: alternative, confidence: confidence * 0.8 }
+      : alternative);
+    this.emitResult(transcript, confidence, [{ transcript, confidence }, ...extra]);
+  }
+}
+
+export const RECOGNIZER_BACKENDS = {
+  web: WebSpeechRecognizer,
+  offline: OfflineRecognizer,
+  scripted: ScriptedRecognizer
+};
+
+export function createRecognizer(backend, options = {}) {
+  const Backend = RECOGNIZER_BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown speech backend: ${backend}`);
+  }
+  return new Backend(options);
+}
+
+// The best backend this browser can run
+export function defaultBackend() {
+  return WebSpeechRecognizer.isSupported() ? 'web' : 'offline';
+}
+
+// Decorators: wrap any backend and decide which of its results get through
+
+class RecognizerDecorator extends Recognizer {
+  constructor(inner) {
+    super();
+    this.inner = inner;
+    this.inner.onresult = (result) => this.handleResult(result);
+    this.inner.onerror = (error) => this.emitError(error.code, error.message);
+  }
+
+  async start() {
+    this.listening = true;
+    await this.inner.start();
+  }
+
+  stop() {
+    this.listening = false;
+    this.inner.stop();
+  }
+
+  // Find a decorator (or backend) of a given class in the chain
+  find(Type) {
+    if (this instanceof Type) return this;
+    if (this.inner instanceof RecognizerDecorator) return this.inner.find(Type);
+    return this.inner instanceof Type ? this.inner : null;
+  }
+}
+
+// Only passes on what was said while the talk key is held. Final results
+// arrive a beat after the speaker stops, so there's a short grace period
+// after release.
+export class PushToTalkRecognizer extends RecognizerDecorator {
+  constructor(inner, { graceMs = 1500 } = {}) {
+    super(inner);
+    this.graceMs = graceMs;
+    this.held = false;
+    this.releasedAt = 0;
+  }
+
+  press() {
+    this.held = true;
+  }
+
+  release() {
+    if (!this.held) return;
+    this.held = false;
+    this.releasedAt = Date.now();
+  }
+
+  handleResult({ transcript, confidence, alternatives }) {
+    if (this.held || Date.now() - this.releasedAt <= this.graceMs) {
+      this.emitResult(transcript, confidence, alternatives);
+    }
+  }
+}
+
+const WAKE_WORDS = ['claim', 'steal', 'steel'];
+
+// Only passes on results that start with a wake word ("claim cast", "steal
+// cast"), stripped of it. A wake word on its own lets the next result
+// through, for people who pause after saying it.
+export class WakeWordRecognizer extends RecognizerDecorator {
+  constructor(inner, { wakeWords = WAKE_WORDS, armedMs = 3000 } = {}) {
+    super(inner);
+    this.pattern = new RegExp(`^\\s*(${wakeWords.join('|')})\\b[\\s,.]*(.*)$`, 'i');
+    this.armedMs = armedMs;
+    this.armedUntil = 0;
+  }
+
+  handleResult({ alternatives }) {
+    const woken = [];
+    let bareWakeWord = false;
+    alternatives.forEach(alternative => {
+      const match = alternative.transcript.match(this.pattern);
+      if (!match) return;
+      if (match[2].trim()) {
+        woken.push({ ...alternative, transcript: match[2].trim() });
+      } else {
+        bareWakeWord = true;
+      }
+    });
+
+    if (woken.length > 0) {
+      this.armedUntil = 0;
+      this.emitResult(woken[0].transcript, woken[0].confidence, woken);
+    } else if (bareWakeWord) {
+      this.armedUntil = Date.now() + this.armedMs;
+    } else if (Date.now() < this.armedUntil) {
+      this.armedUntil = 0;
+      this.emitResult(alternatives[0].transcript, alternatives[0].confidence, alternatives);
+    }
+  }
+}
+
+// Spelling words out letter by letter
+
+const NATO_ALPHABET = {
+  alpha: 'A', alfa: 'A', bravo: 'B', charlie: 'C', delta: 'D', echo: 'E',
+  foxtrot: 'F', golf: 'G', hotel: 'H', india: 'I', juliet: 'J', juliett: 'J',
+  kilo: 'K', lima: 'L', mike: 'M', november: 'N', oscar: 'O', papa: 'P',
+  quebec: 'Q', romeo: 'R', sierra: 'S', tango: 'T', uniform: 'U',
+  victor: 'V', whiskey: 'W', whisky: 'W', xray: 'X', yankee: 'Y', zulu: 'Z'
+};
+
+// What recognizers tend to write when someone says a letter's name
+const LETTER_NAMES = {
+  ay: 'A', bee: 'B', be: 'B', see: 'C', sea: 'C', cee: 'C', dee: 'D',
+  ef: 'F', eff: 'F', gee: 'G', jee: 'G', aitch: 'H', eye: 'I', jay: 'J',
+  kay: 'K', el: 'L', ell: 'L', em: 'M', en: 'N', oh: 'O', pee: 'P', pea: 'P',
+  cue: 'Q', queue: 'Q', are: 'R', ar: 'R', es: 'S', ess: 'S', tee: 'T',
+  tea: 'T', you: 'U', vee: 'V', ex: 'X', why: 'Y', zee: 'Z', zed: 'Z'
+};
+
+const SPELLING_DONE_WORDS = ['done', 'over', 'enter', 'claim'];
+const SPELLING_CLEAR_WORDS = ['clear', 'scratch', 'restart'];
+
+// Turn "C-A-S-T", "c a s t" or "charlie alpha sierra tango" into letters.
+// Returns null if anything in the transcript isn't a letter.
+export function parseSpelledLetters(transcript) {
+  const tokens = transcript.toLowerCase()
+    .replace(/x-ray/g, 'xray')
+    .replace(/double[\s-]?(u|you)/g, 'w')
+    .split(/[\s,.\-]+/)
+    .filter(Boolean);
+
+  const letters = [];
+  for (const token of tokens) {
+    if (/^[a-z]$/.test(token)) {
+      letters.push(token.toUpperCase());
+    } else if (NATO_ALPHABET[token]) {
+      letters.push(NATO_ALPHABET[token]);
+    } else if (LETTER_NAMES[token]) {
+      letters.push(LETTER_NAMES[token]);
+    } else {
+      return null;
+    }
+  }
+  return letters;
+}
+
+// Wraps any recognizer and assembles spelled-out letters into a word. The
+// word is emitted after a pause in spelling, or straight away on "done".
+export class SpellingRecognizer extends RecognizerDecorator {
+  constructor(inner, { pauseMs = 1500, onprogress = null } = {}) {
+    super(inner);
+    this.pauseMs = pauseMs;
+    this.onprogress = onprogress; // (letters) => void, as letters come in
+    this.letters = [];
+    this.confidence = 1;
+    this.pauseTimer = null;
+  }
+
+  stop() {
+    super.stop();
+    this.reset();
+  }
+
+  handleResult({ transcript, confidence }) {
+    const command = transcript.trim().toLowerCase();
+
+    if (SPELLING_CLEAR_WORDS.includes(command)) {
+      this.reset();
+      return;
+    }
+    if (SPELLING_DONE_WORDS.includes(command)) {
+      this.finishWord();
+      return;
+    }
+
+    const letters = parseSpelledLetters(transcript);
+    if (!letters || letters.length === 0) return;
+
+    this.letters.push(...letters);
+    this.confidence = Math.min(this.confidence, confidence);
+    this.reportProgress();
+
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = setTimeout(() => this.finishWord(), this.pauseMs);
+  }
+
+  finishWord() {
+    clearTimeout(this.pauseTimer);
+    if (this.letters.length > 0) {
+      this.emitResult(this.letters.join('').toLowerCase(), this.confidence);
+    }
+    this.reset();
+  }
+
+  reset() {
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = null;
+    this.letters = [];
+    this.confidence = 1;
+    this.reportProgress();
+  }
+
+  reportProgress() {
+    if (this.onprogress) {
+      this.onprogress([...this.letters]);
+    }
+  }
+}
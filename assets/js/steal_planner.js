@@ -0,0 +1,72 @@
+// Steal planning for a single word: which claimed words can be taken to
+// spell it, filtered down to the plans the server will actually accept.
+import { WordIndex, claimedWordsFromPlayers, findStealPlans, planToFromPlayers } from "./word_index.js";
+import { checkSteal } from "./steal_rules.js";
+
+export class StealPlanner {
+  // `rootsOf` gives a word's roots for the strict steal rules; the
+  // dictionary lives in the word finder worker, so it's whatever has been
+  // looked up so far
+  constructor(language = 'en', rootsOf = word => [word.toLowerCase()]) {
+    // An empty index is all we need for tokenizing and counting letters
+    this.letters = new WordIndex([], language);
+    this.rootsOf = rootsOf;
+  }
+
+  // Every steal plan for `word` the server would accept, best first:
+  // fewest words taken, then other players' words before our own, then
+  // opponents' words before our teammates'
+  findPlans(word, gameState, playerId = null) {
+    const teammates = teammateIds(gameState, playerId);
+    const ownWordCount = (plan) => plan.words.filter(w => w.playerId === playerId).length;
+    const teammateWordCount = (plan) => plan.words.filter(w => teammates.has(w.playerId)).length;
+
+    return this.findLetterPlans(word, gameState)
+      .filter(plan => !plan.violation)
+      .sort((a, b) => a.words.length - b.words.length || ownWordCount(a) - ownWordCount(b) ||
+        teammateWordCount(a) - teammateWordCount(b))
+      .map(plan => ({
+        from_players: planToFromPlayers(plan),
+        stolen_words: plan.words,
+        pool_letters: plan.poolLetters
+      }));
+  }
+
+  // When the letters work out but every plan breaks a steal rule, the rule
+  // the simplest plan breaks, e.g. {reason: 'invalid_transformation', message: 'CATS is CAT + S'}
+  explainRejection(word, gameState) {
+    const plans = this.findLetterPlans(word, gameState);
+    if (plans.length === 0 || plans.some(plan => !plan.violation)) return null;
+
+    plans.sort((a, b) => a.words.length - b.words.length);
+    return plans[0].violation;
+  }
+
+  // Every combination of claimed words and pool tiles that spells `word`,
+  // each tagged with the steal rule it breaks (if any)
+  findLetterPlans(word, gameState) {
+    if (!gameState || !gameState.players) return [];
+
+    const tiles = this.letters.tokenize(word);
+    if (!tiles) return [];
+
+    const targetCounts = this.letters.countsOf(tiles);
+    const poolCounts = this.letters.countsOf(gameState.flipped_tiles);
+    const claimedWords = claimedWordsFromPlayers(this.letters, gameState.players);
+    const stealOptions = { ruleSet: gameState.settings && gameState.settings.steal_rules, rootsOf: this.rootsOf };
+
+    return findStealPlans(targetCounts, poolCounts, claimedWords, this.letters.alphabet)
+      .map(plan => ({
+        ...plan,
+        violation: checkSteal(word, plan.words.map(w => w.word), plan.poolLetters, stealOptions)
+      }));
+  }
+}
+
+// Everyone else on playerId's team; empty outside team games
+function teammateIds(gameState, playerId) {
+  const players = (gameState && gameState.players) || [];
+  const me = players.find(p => p.id === playerId);
+  if (!me || !me.team) return new Set();
+  return new Set(players.filter(p => p.team === me.team && p.id !== playerId).map(p => p.id));
+}
@@ -0,0 +1,108 @@
+// Client copy of the server's steal rules (CutthroatAnagrams.StealRules).
+// Both sides read the same priv/steal_rules.json so they can't drift apart.
+import rules from "../../priv/steal_rules.json";
+
+export const STEAL_RULES = rules;
+
+// True if `newWord` is just `stolenWord` with a suffix or other tail added,
+// rather than a real rearrangement
+export function isSimpleExtension(newWord, stolenWord, numNewTiles) {
+  const newLower = newWord.toLowerCase();
+  const stolenLower = stolenWord.toLowerCase();
+
+  if (numNewTiles <= rules.short_extension.max_new_tiles) {
+    return rules.short_extension.suffixes.some(suffix => newLower === stolenLower + suffix) ||
+      (newLower.startsWith(stolenLower) && newLower.length - stolenLower.length === numNewTiles);
+  }
+
+  return newLower.startsWith(stolenLower) &&
+    rules.long_extension.suffixes.some(suffix => newLower.endsWith(suffix));
+}
+
+// Every root of `word`: the word itself plus each word `isWord` accepts
+// that's reached by stripping up to a few prefixes and suffixes, undoing the
+// spelling changes a suffix makes ("rating" -> "rate", "catty" -> "cat")
+export function wordRoots(word, isWord) {
+  const { min_stem_length: minLength, max_affixes: maxAffixes } = rules.stemmer;
+  const roots = new Set([word.toLowerCase()]);
+  let frontier = [...roots];
+
+  for (let depth = 0; depth < maxAffixes && frontier.length > 0; depth++) {
+    const found = [...new Set(frontier.flatMap(stripAffixes))]
+      .filter(candidate => candidate.length >= minLength && !roots.has(candidate))
+      .filter(isWord);
+    found.forEach(root => roots.add(root));
+    frontier = found;
+  }
+
+  return [...roots];
+}
+
+function stripAffixes(word) {
+  const withoutPrefixes = rules.stemmer.prefixes
+    .filter(prefix => word.startsWith(prefix))
+    .map(prefix => word.slice(prefix.length));
+
+  const withoutSuffixes = rules.stemmer.suffixes
+    .filter(suffix => word.endsWith(suffix) && word.length > suffix.length)
+    .flatMap(suffix => undoSpellingChanges(word.slice(0, -suffix.length)));
+
+  return [...withoutPrefixes, ...withoutSuffixes];
+}
+
+function undoSpellingChanges(base) {
+  const candidates = [base, base + 'e'];
+  if (base.endsWith('i')) candidates.push(base.slice(0, -1) + 'y');
+  if (base.length >= 2 && base[base.length - 1] === base[base.length - 2]) candidates.push(base.slice(0, -1));
+  return candidates;
+}
+
+// Check a steal of `stolenWords` into `newWord` using `poolLetters` from the
+// pool under the game's `ruleSet`. `rootsOf` gives a word's roots for the
+// strict rules - see wordRoots. Returns null if the server would accept it,
+// otherwise the rejection reason it would send back plus a message naming
+// the broken rule.
+export function checkSteal(newWord, stolenWords, poolLetters, { ruleSet = 'classic', rootsOf = word => [word.toLowerCase()] } = {}) {
+  if (poolLetters.length < rules.min_pool_tiles) {
+    return {
+      reason: 'must_add_letter',
+      message: rules.min_pool_tiles === 1
+        ? 'You must add at least one tile from the pool'
+        : `You must add at least ${rules.min_pool_tiles} tiles from the pool`
+    };
+  }
+
+  if (ruleSet === 'anything_goes') return null;
+
+  const extended = stolenWords.find(stolenWord =>
+    isSimpleExtension(newWord, stolenWord, poolLetters.length)
+  );
+
+  if (extended) {
+    const added = newWord.toLowerCase().startsWith(extended.toLowerCase())
+      ? newWord.slice(extended.length)
+      : poolLetters.join('');
+
+    return {
+      reason: 'invalid_transformation',
+      stolenWord: extended,
+      message: `${newWord.toUpperCase()} is ${extended.toUpperCase()} + ${added.toUpperCase()}`
+    };
+  }
+
+  if (ruleSet === 'strict') {
+    const newRoots = new Set(rootsOf(newWord));
+    for (const stolenWord of stolenWords) {
+      const root = rootsOf(stolenWord).find(candidate => newRoots.has(candidate));
+      if (root) {
+        return {
+          reason: 'same_root',
+          stolenWord,
+          message: `${newWord.toUpperCase()} and ${stolenWord.toUpperCase()} share the root ${root.toUpperCase()}`
+        };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,88 @@
+// Main-thread handle on the word finder worker. Every request returns a
+// promise that resolves with the worker's answer.
+
+const WORKER_URL = '/assets/js/word_finder_worker.js';
+
+export class WordFinder {
+  constructor(workerUrl = WORKER_URL) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+    this.language = 'en';
+  }
+
+  // Answer later requests from `language`'s word list (a code from
+  // priv/languages.json)
+  setLanguage(language) {
+    this.language = language;
+  }
+
+  // Start the worker and download the word list ahead of the first search
+  load() {
+    return this.request('load');
+  }
+
+  // Whether a word is in the server's dictionary
+  isWord(word) {
+    return this.request('is_word', { word });
+  }
+
+  // Each word's roots for the strict steal rules: {word: [root]}
+  wordRoots(words) {
+    return this.request('word_roots', { words });
+  }
+
+  // All valid claims and steals for a serialized game state:
+  // {claims: [word], steals: [{word, plans: [{from_players, stolen_words, pool_letters}]}]}
+  findPlays(gameState) {
+    return this.request('find_plays', { game_state: gameState });
+  }
+
+  request(type, payload = {}) {
+    const worker = this.ensureWorker();
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      worker.postMessage({ id, type, language: this.language, payload });
+    });
+  }
+
+  ensureWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = (event) => this.handleResponse(event.data);
+      this.worker.onerror = (event) => {
+        console.error('Word finder worker error:', event.message);
+        this.rejectAll(new Error(event.message || 'Word finder worker failed'));
+      };
+    }
+    return this.worker;
+  }
+
+  handleResponse({ id, result, error }) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return;
+
+    this.pendingRequests.delete(id);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  rejectAll(error) {
+    this.pendingRequests.forEach(pending => pending.reject(error));
+    this.pendingRequests.clear();
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectAll(new Error('Word finder stopped'));
+  }
+}
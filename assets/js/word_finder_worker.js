@@ -0,0 +1,92 @@
+// Web Worker that owns the anagram index so loading and searching the
+// ~200k word list never blocks the game UI. Built as its own esbuild entry.
+import { WordIndex, parseDictionary, findPlays } from "./word_index.js";
+import { wordRoots } from "./steal_rules.js";
+
+const DICTIONARY_URL = '/dictionary';
+const CACHE_NAME = 'cutthroat-anagrams-dictionary';
+
+// One index per language, loaded the first time it's asked for
+const indexPromises = new Map();
+
+function dictionaryUrl(language) {
+  return language === 'en' ? DICTIONARY_URL : `${DICTIONARY_URL}?lang=${encodeURIComponent(language)}`;
+}
+
+// The dictionary is downloaded once and kept in Cache Storage, so later
+// games (and offline play) start from the cached copy
+async function fetchDictionary(url) {
+  const cache = self.caches ? await self.caches.open(CACHE_NAME) : null;
+  const cached = cache ? await cache.match(url) : null;
+
+  if (cached) {
+    refreshCachedDictionary(cache, url, cached.headers.get('etag'));
+    return cached.text();
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load dictionary: ${response.status}`);
+  }
+  if (cache) {
+    await cache.put(url, response.clone());
+  }
+  return response.text();
+}
+
+// Quietly pick up a new word list for next time if the server's has changed
+function refreshCachedDictionary(cache, url, etag) {
+  const headers = etag ? { 'If-None-Match': etag } : {};
+
+  fetch(url, { headers, cache: 'no-store' })
+    .then(response => {
+      if (response.status === 200) {
+        cache.put(url, response);
+      }
+    })
+    .catch(() => {
+      // Offline - keep using the cached copy
+    });
+}
+
+function loadIndex(language = 'en') {
+  if (!indexPromises.has(language)) {
+    const indexPromise = fetchDictionary(dictionaryUrl(language))
+      .then(text => new WordIndex(parseDictionary(text), language));
+    indexPromises.set(language, indexPromise);
+
+    // Allow a retry on the next request if the download failed
+    indexPromise.catch(() => { indexPromises.delete(language); });
+  }
+  return indexPromises.get(language);
+}
+
+self.onmessage = async (event) => {
+  const { id, type, language, payload } = event.data;
+
+  try {
+    const index = await loadIndex(language);
+    let result;
+
+    switch (type) {
+      case 'load':
+        result = { word_count: index.wordCount };
+        break;
+      case 'is_word':
+        result = index.has(payload.word);
+        break;
+      case 'word_roots':
+        result = Object.fromEntries(payload.words.map(word => [word, wordRoots(word, candidate => index.has(candidate))]));
+        break;
+      case 'find_plays':
+        result = findPlays(index, payload.game_state);
+        break;
+      default:
+        throw new Error(`Unknown word finder request: ${type}`);
+    }
+
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
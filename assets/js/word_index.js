@@ -0,0 +1,277 @@
+// Compact anagram index over the shipped word list, plus the multiset
+// search used to find every claim and steal on the current board.
+
+import { STEAL_RULES, checkSteal, wordRoots } from "./steal_rules.js";
+import { LANGUAGES, foldWord, tokenizeWord } from "./languages.js";
+
+export const ENGLISH_ALPHABET = LANGUAGES.en.alphabet;
+
+// The server's /dictionary payload is front-coded: each line is the number
+// of characters shared with the previous word followed by the rest of the
+// word, so "aahed" after "aah" arrives as "3ed"
+export function parseDictionary(text) {
+  const words = [];
+  let previous = '';
+  text.split('\n').forEach(line => {
+    const match = line.match(/^(\d+)(.*)$/);
+    if (match) {
+      previous = previous.slice(0, parseInt(match[1], 10)) + match[2];
+      words.push(previous);
+    }
+  });
+  return words;
+}
+
+export class WordIndex {
+  // `language` is a code from priv/languages.json; its alphabet may have
+  // digraph tiles, so a word's tile count isn't always its length
+  constructor(words, language = 'en') {
+    const alphabet = LANGUAGES[language].alphabet;
+    this.language = language;
+    this.alphabet = alphabet;
+    this.letterIndex = new Map(alphabet.map((letter, i) => [letter, i]));
+    this.size = alphabet.length;
+
+    // Drop anything we can't spell with this alphabet's tiles
+    const entries = [];
+    words.forEach(word => {
+      const tiles = this.tokenize(word);
+      if (tiles) entries.push([word, tiles]);
+    });
+
+    // One row of letter counts per word, stored flat so 200k words stay a
+    // few megabytes, plus a bitmask of which letters appear for fast rejects
+    this.words = new Array(entries.length);
+    this.lengths = new Uint8Array(entries.length);
+    this.counts = new Uint8Array(entries.length * this.size);
+    this.masks = new Uint32Array(entries.length);
+    this.lookup = new Map();
+
+    entries.forEach(([word, tiles], id) => {
+      this.words[id] = word;
+      this.lengths[id] = tiles.length;
+      this.lookup.set(word, id);
+
+      const offset = id * this.size;
+      tiles.forEach(tile => {
+        const letter = this.letterIndex.get(tile);
+        this.counts[offset + letter]++;
+        this.masks[id] |= this.bitFor(letter);
+      });
+    });
+  }
+
+  get wordCount() {
+    return this.words.length;
+  }
+
+  has(word) {
+    return this.lookup.has(foldWord(word, this.language));
+  }
+
+  // Split a word into tiles, or null if it uses a letter outside the alphabet
+  tokenize(word) {
+    return tokenizeWord(word, this.language);
+  }
+
+  countsOf(tiles) {
+    const counts = new Uint8Array(this.size);
+    tiles.forEach(tile => {
+      const letter = this.letterIndex.get(tile);
+      if (letter !== undefined) counts[letter]++;
+    });
+    return counts;
+  }
+
+  maskOf(counts) {
+    let mask = 0;
+    for (let letter = 0; letter < this.size; letter++) {
+      if (counts[letter] > 0) mask |= this.bitFor(letter);
+    }
+    return mask >>> 0;
+  }
+
+  bitFor(letter) {
+    // Alphabets longer than 32 letters share the top bit, which only makes
+    // the mask check less selective, never wrong
+    return (1 << Math.min(letter, 31)) >>> 0;
+  }
+
+  // True if word `id` fits inside `available` letter counts
+  fitsIn(id, available) {
+    const offset = id * this.size;
+    for (let letter = 0; letter < this.size; letter++) {
+      if (this.counts[offset + letter] > available[letter]) return false;
+    }
+    return true;
+  }
+
+  countsFor(id) {
+    return this.counts.subarray(id * this.size, (id + 1) * this.size);
+  }
+}
+
+// Multiset helpers over letter-count arrays
+
+export function fits(needed, available) {
+  for (let i = 0; i < needed.length; i++) {
+    if (needed[i] > available[i]) return false;
+  }
+  return true;
+}
+
+export function subtractInPlace(target, counts) {
+  for (let i = 0; i < counts.length; i++) target[i] -= counts[i];
+}
+
+export function addInPlace(target, counts) {
+  for (let i = 0; i < counts.length; i++) target[i] += counts[i];
+}
+
+// Every claimed word on the board, with its letter counts precomputed
+export function claimedWordsFromPlayers(index, players) {
+  const claimed = [];
+  (players || []).forEach(player => {
+    player.words.forEach((wordObj, wordIndex) => {
+      claimed.push({
+        word: wordObj.word,
+        letters: wordObj.letters,
+        counts: index.countsOf(wordObj.letters),
+        playerId: player.id,
+        wordIndex: wordIndex
+      });
+    });
+  });
+  return claimed;
+}
+
+// Find every set of claimed words that can be combined with pool tiles to
+// spell `targetCounts`. Each stolen word has to fit entirely inside the
+// target; whether enough pool tiles were added is left to the steal rules.
+// Claimed words that don't fit are discarded up front, so the search only
+// ever branches over the handful of words that could matter.
+export function findStealPlans(targetCounts, poolCounts, claimedWords, alphabet = ENGLISH_ALPHABET) {
+  const candidates = claimedWords.filter(claimed => fits(claimed.counts, targetCounts));
+  const remaining = Uint8Array.from(targetCounts);
+  const plans = [];
+  const chosen = [];
+
+  const search = (start) => {
+    if (chosen.length > 0 && fits(remaining, poolCounts)) {
+      plans.push({
+        words: [...chosen],
+        poolLetters: lettersFromCounts(remaining, alphabet)
+      });
+    }
+
+    for (let i = start; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      if (!fits(candidate.counts, remaining)) continue;
+
+      subtractInPlace(remaining, candidate.counts);
+      chosen.push(candidate);
+      search(i + 1);
+      chosen.pop();
+      addInPlace(remaining, candidate.counts);
+    }
+  };
+
+  search(0);
+  return plans;
+}
+
+function lettersFromCounts(counts, alphabet) {
+  const letters = [];
+  for (let i = 0; i < counts.length; i++) {
+    for (let n = 0; n < counts[i]; n++) letters.push(alphabet[i]);
+  }
+  return letters;
+}
+
+// Format a steal plan for the server's expected structure: {player_id: [word_indices]}
+export function planToFromPlayers(plan) {
+  const fromPlayers = {};
+  plan.words.forEach(wordInfo => {
+    if (!fromPlayers[wordInfo.playerId]) {
+      fromPlayers[wordInfo.playerId] = [];
+    }
+    fromPlayers[wordInfo.playerId].push(wordInfo.wordIndex);
+  });
+  return fromPlayers;
+}
+
+// List every dictionary word that can be claimed from the pool or made by
+// stealing, given a serialized game state. The game's house lists take out
+// banned words and add the extra allowed ones.
+export function findPlays(index, gameState) {
+  const minWordLength = gameState.min_word_length || 1;
+  const poolCounts = index.countsOf(gameState.flipped_tiles);
+  const poolMask = index.maskOf(poolCounts);
+  const claimedWords = claimedWordsFromPlayers(index, gameState.players);
+
+  const settings = gameState.settings || {};
+  const banned = new Set(settings.banned_words || []);
+  const houseIndex = new WordIndex(settings.allowed_words || [], index.language);
+  const isWord = candidate => index.has(candidate) || houseIndex.has(candidate);
+
+  // The game's steal rules, with roots looked up once per word
+  const roots = new Map();
+  const stealOptions = {
+    ruleSet: settings.steal_rules,
+    rootsOf: word => {
+      if (!roots.has(word)) roots.set(word, wordRoots(word, isWord));
+      return roots.get(word);
+    }
+  };
+
+  const availableCounts = Uint8Array.from(poolCounts);
+  claimedWords.forEach(claimed => addInPlace(availableCounts, claimed.counts));
+  const availableMask = index.maskOf(availableCounts);
+
+  const claims = [];
+  const steals = [];
+
+  const consider = (source, id) => {
+    if (source.lengths[id] < minWordLength) return;
+
+    const mask = source.masks[id];
+    // Needs a pool letter (when the rules demand one) and nothing we don't have anywhere
+    if (STEAL_RULES.min_pool_tiles > 0 && (mask & poolMask) === 0) return;
+    if ((mask & ~availableMask) !== 0) return;
+    if (!source.fitsIn(id, availableCounts)) return;
+
+    const word = source.words[id];
+    if (banned.has(word)) return;
+
+    if (source.fitsIn(id, poolCounts)) {
+      claims.push(word);
+    }
+
+    if (claimedWords.length > 0) {
+      const plans = findStealPlans(source.countsFor(id), poolCounts, claimedWords, source.alphabet)
+        .filter(plan => !checkSteal(word, plan.words.map(w => w.word), plan.poolLetters, stealOptions));
+      if (plans.length > 0) {
+        steals.push({
+          word: word,
+          plans: plans.map(plan => ({
+            from_players: planToFromPlayers(plan),
+            stolen_words: plan.words.map(w => w.word),
+            pool_letters: plan.poolLetters
+          }))
+        });
+      }
+    }
+  };
+
+  for (let id = 0; id < index.wordCount; id++) consider(index, id);
+  // House words the dictionary already has are found above
+  for (let id = 0; id < houseIndex.wordCount; id++) {
+    if (!index.has(houseIndex.words[id])) consider(houseIndex, id);
+  }
+
+  // Longest words first - they're worth the most
+  claims.sort((a, b) => b.length - a.length || a.localeCompare(b));
+  steals.sort((a, b) => b.word.length - a.word.length || a.word.localeCompare(b.word));
+
+  return {claims, steals};
+}
@@ -1,11 +1,22 @@
 defmodule CutthroatAnagrams.Dictionary do
   @moduledoc """
   Dictionary service for validating words against the Wordnik word list.
+
+  Other languages' word lists (see `CutthroatAnagrams.Languages`) are loaded
+  in the background when a game in that language is created (`preload/1`),
+  or the first time one is looked up. Lookups in a language that's still
+  loading wait for it; every other language carries on meanwhile. A list
+  that fails to load stays failed, so it isn't read again on every lookup.
+  Words are stored folded by `Languages.fold/2`, so lookups ignore case and
+  accents the language doesn't have tiles for.
   """
   use GenServer
   require Logger
 
-  @dict_file_path "priv/static/data/wordlist.txt"
+  alias CutthroatAnagrams.Languages
+
+  # Long enough to wait for a word list that's still loading
+  @call_timeout 30_000
 
   # Client API
 
@@ -17,12 +28,35 @@ defmodule CutthroatAnagrams.Dictionary do
   Check if a word exists in the dictionary.
   Returns true if valid, false otherwise.
   """
-  def valid_word?(word) when is_binary(word) do
-    normalized_word = String.downcase(word)
-    GenServer.call(__MODULE__, {:valid_word?, normalized_word})
+  def valid_word?(word, language \\ "en")
+
+  def valid_word?(word, language) when is_binary(word) do
+    normalized_word = Languages.fold(word, language)
+    GenServer.call(__MODULE__, {:valid_word?, normalized_word, language}, @call_timeout)
+  end
+
+  def valid_word?(_, _), do: false
+
+  @doc """
+  The whole word list in the compact form clients download for offline
+  validation: one word per line, front-coded as the number of leading
+  characters shared with the previous word followed by the rest, so
+  "aahed" after "aah" becomes "3ed". The body is gzipped.
+
+  Returns `{:ok, %{version: version, body: gzipped_binary}}`, or
+  `{:error, reason}` if `language`'s word list can't be loaded.
+  """
+  def export(language \\ "en") do
+    GenServer.call(__MODULE__, {:export, language}, @call_timeout)
   end
 
-  def valid_word?(_), do: false
+  @doc """
+  Starts loading `language`'s word list in the background, unless it's
+  loaded or loading already, so it's ready by the time a game needs it.
+  """
+  def preload(language) do
+    GenServer.cast(__MODULE__, {:preload, language})
+  end
 
   @doc """
   Get dictionary stats (for debugging/monitoring)
@@ -35,44 +69,125 @@ defmodule CutthroatAnagrams.Dictionary do
 
   @impl true
   def init(:ok) do
-    Logger.info("Loading dictionary from #{@dict_file_path}...")
-    
-    case load_dictionary() do
-      {:ok, word_set} ->
-        word_count = MapSet.size(word_set)
-        Logger.info("Dictionary loaded successfully with #{word_count} words")
-        {:ok, %{words: word_set, word_count: word_count}}
+    # English is loaded up front: without it there's no game to play
+    case load_language("en") do
+      {:ok, english} ->
+        # languages: code => dictionary, or {:error, reason} if it failed.
+        # loading: load task ref => code. waiting: code => [{from, request}]
+        {:ok, %{languages: %{"en" => english}, loading: %{}, waiting: %{}}}
       
       {:error, reason} ->
-        Logger.error("Failed to load dictionary: #{reason}")
         {:stop, reason}
     end
   end
 
   @impl true
-  def handle_call({:valid_word?, word}, _from, state) do
-    is_valid = MapSet.member?(state.words, word)
-    {:reply, is_valid, state}
+  def handle_call({:valid_word?, word, language}, from, state) do
+    answer(state, language, from, {:valid_word?, word})
+  end
+
+  @impl true
+  def handle_call({:export, language}, from, state) do
+    answer(state, language, from, :export)
   end
 
   @impl true
   def handle_call(:stats, _from, state) do
-    stats = %{
-      word_count: state.word_count,
-      memory_usage: :erts_debug.size(state.words)
-    }
+    stats =
+      for {language, %{words: words} = dictionary} <- state.languages, into: %{} do
+        {language, %{
+          word_count: dictionary.word_count,
+          memory_usage: :erts_debug.size(words)
+        }}
+      end
     {:reply, stats, state}
   end
 
+  @impl true
+  def handle_cast({:preload, language}, state) do
+    if Map.has_key?(state.languages, language) or language not in Languages.codes() do
+      {:noreply, state}
+    else
+      {:noreply, start_loading(state, language)}
+    end
+  end
+
+  # A word list finished loading: keep it, or the error, and answer
+  # whoever was waiting for it
+  @impl true
+  def handle_info({ref, result}, %{loading: loading} = state) when is_map_key(loading, ref) do
+    Process.demonitor(ref, [:flush])
+    {language, loading} = Map.pop(loading, ref)
+    {waiting, still_waiting} = Map.pop(state.waiting, language, [])
+    
+    waiting
+    |> Enum.reverse()
+    |> Enum.each(fn {from, request} -> GenServer.reply(from, reply(request, result)) end)
+    
+    loaded = with {:ok, dictionary} <- result, do: dictionary
+    {:noreply, %{state | languages: Map.put(state.languages, language, loaded), loading: loading, waiting: still_waiting}}
+  end
+
   # Private Functions
 
-  defp load_dictionary do
-    case File.read(@dict_file_path) do
+  # Answers `request` from `language`'s dictionary, or once it's loaded
+  defp answer(state, language, from, request) do
+    case Map.fetch(state.languages, language) do
+      {:ok, {:error, reason}} ->
+        {:reply, reply(request, {:error, reason}), state}
+      
+      {:ok, dictionary} ->
+        {:reply, reply(request, {:ok, dictionary}), state}
+      
+      :error ->
+        if language in Languages.codes() do
+          state = start_loading(state, language)
+          {:noreply, %{state | waiting: Map.update(state.waiting, language, [{from, request}], &[{from, request} | &1])}}
+        else
+          {:reply, reply(request, {:error, :unknown_language}), state}
+        end
+    end
+  end
+
+  defp reply({:valid_word?, word}, {:ok, dictionary}), do: MapSet.member?(dictionary.words, word)
+  defp reply({:valid_word?, _word}, {:error, _reason}), do: false
+  defp reply(:export, {:ok, dictionary}), do: {:ok, dictionary.export}
+  defp reply(:export, {:error, reason}), do: {:error, reason}
+
+  # Reading, folding and exporting a word list takes a while, so it's done
+  # in a task rather than holding up every other language's lookups
+  defp start_loading(state, language) do
+    if language in Map.values(state.loading) do
+      state
+    else
+      task = Task.async(fn -> load_language(language) end)
+      put_in(state.loading[task.ref], language)
+    end
+  end
+
+  defp load_language(language) do
+    path = Languages.word_list_path(language)
+    Logger.info("Loading #{language} dictionary from #{path}...")
+    
+    case load_dictionary(path, language) do
+      {:ok, word_set} ->
+        word_count = MapSet.size(word_set)
+        Logger.info("Dictionary loaded successfully with #{word_count} words")
+        {:ok, %{words: word_set, word_count: word_count, export: build_export(word_set)}}
+      
+      {:error, reason} ->
+        Logger.error("Failed to load #{language} dictionary: #{reason}")
+        {:error, reason}
+    end
+  end
+
+  defp load_dictionary(path, language) do
+    case File.read(path) do
       {:ok, content} ->
         words = 
           content
           |> String.split("\n", trim: true)
-          |> Enum.map(&parse_word_line/1)
+          |> Enum.map(&parse_word_line(&1, language))
           |> Enum.reject(&is_nil/1)
           |> MapSet.new()
         
@@ -83,16 +198,37 @@ defmodule CutthroatAnagrams.Dictionary do
     end
   end
 
-  defp parse_word_line(line) do
+  defp parse_word_line(line, language) do
     # Words are in quotes like "word"
     case String.trim(line) do
       "\"" <> rest ->
         case String.split(rest, "\"", parts: 2) do
-          [word, _] -> String.downcase(word)
+          [word, _] -> Languages.fold(word, language)
           _ -> nil
         end
       _ -> 
         nil
     end
   end
-end
\ No newline at end of file
+
+  defp build_export(word_set) do
+    {lines, _last_word} =
+      word_set
+      |> Enum.sort()
+      |> Enum.map_reduce("", fn word, previous ->
+        shared = shared_prefix_length(previous, word)
+        {[Integer.to_string(shared), String.slice(word, shared..-1//1)], word}
+      end)
+
+    body = lines |> Enum.intersperse("\n") |> IO.iodata_to_binary()
+    version = :crypto.hash(:sha256, body) |> Base.url_encode64(padding: false) |> binary_part(0, 16)
+
+    %{version: version, body: :zlib.gzip(body)}
+  end
+
+  defp shared_prefix_length(a, b) do
+    Enum.zip(String.codepoints(a), String.codepoints(b))
+    |> Enum.take_while(fn {x, y} -> x == y end)
+    |> length()
+  end
+end
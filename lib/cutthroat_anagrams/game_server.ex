@@ -2,11 +2,62 @@ defmodule CutthroatAnagrams.GameServer do
   use GenServer
   require Logger
 
-  @scrabble_tiles %{
-    "A" => 9, "B" => 2, "C" => 2, "D" => 4, "E" => 12, "F" => 2, "G" => 3, "H" => 2,
-    "I" => 9, "J" => 1, "K" => 1, "L" => 4, "M" => 2, "N" => 6, "O" => 8, "P" => 2,
-    "Q" => 1, "R" => 6, "S" => 4, "T" => 6, "U" => 4, "V" => 2, "W" => 2, "X" => 1,
-    "Y" => 2, "Z" => 1
+  alias CutthroatAnagrams.Dictionary
+  alias CutthroatAnagrams.HouseLists
+  alias CutthroatAnagrams.Languages
+  alias CutthroatAnagrams.Scoring
+  alias CutthroatAnagrams.StealRules
+  alias CutthroatAnagrams.Teams
+  alias CutthroatAnagrams.TileBags
+
+  # Claims are held this long so competing claims can be weighed together
+  @default_arbitration_window_ms 250
+
+  # Competing claims received closer together than this are a coin flip
+  @default_tie_tolerance_ms 100
+
+  # Blitz games flip at least this often
+  @blitz_auto_flip_ms 5_000
+
+  # How long the other players have to vote on a challenged word
+  @challenge_vote_ms 15_000
+
+  # Settings the host can change in the lobby, with their defaults.
+  # auto_flip_ms: a tile is flipped for the current player if nobody flips,
+  # claims or steals for this long. confirmation_ms: how long a claimer has
+  # to confirm what the mic heard. end_vote_percent: share of players that
+  # must vote to end the game. scoring and steal_bonus: see Scoring.
+  # tile_set and custom_tiles: see TileBags. blitz_minutes: a hard game
+  # clock, or 0 for none. teams and teammate_steals: see Teams.
+  # steal_rules: see StealRules. banned_words and allowed_words: see
+  # HouseLists; uploaded as text, stored as word lists.
+  @default_settings %{
+    min_word_length: 4,
+    auto_flip_ms: 10_000,
+    confirmation_ms: 5_000,
+    end_vote_percent: 50,
+    max_players: 8,
+    tile_set: "scrabble",
+    custom_tiles: nil,
+    scoring: "letters",
+    steal_bonus: 0,
+    blitz_minutes: 0,
+    teams: 0,
+    teammate_steals: "rearrange",
+    steal_rules: "classic",
+    banned_words: [],
+    allowed_words: []
+  }
+
+  @setting_ranges %{
+    min_word_length: 3..6,
+    auto_flip_ms: 3_000..60_000,
+    confirmation_ms: 2_000..15_000,
+    end_vote_percent: 1..100,
+    max_players: 2..12,
+    steal_bonus: 0..5,
+    blitz_minutes: [0, 3, 5, 10],
+    teams: [0, 2, 3, 4]
   }
 
   # Client API
@@ -29,6 +80,14 @@ defmodule CutthroatAnagrams.GameServer do
     GenServer.call(pid, {:disconnect_player, player_id})
   end
 
+  def add_spectator(pid, spectator_id) do
+    GenServer.call(pid, {:add_spectator, spectator_id})
+  end
+
+  def remove_spectator(pid, spectator_id) do
+    GenServer.call(pid, {:remove_spectator, spectator_id})
+  end
+
   def flip_tile(pid, player_id) do
     GenServer.call(pid, {:flip_tile, player_id})
   end
@@ -41,6 +100,43 @@ defmodule CutthroatAnagrams.GameServer do
     GenServer.call(pid, {:steal_word, player_id, word, from_players, timestamp})
   end
 
+  # Queues a claim (`%{word: word}`) or steal (`%{word: word, from_players:
+  # from_players}`) for arbitration. The outcome is published on
+  # `topic(game_id)` as `{:claims_resolved, results, game_state}` once the
+  # arbitration window closes.
+  def submit_claim(pid, player_id, claim) do
+    GenServer.call(pid, {:submit_claim, player_id, claim})
+  end
+
+  def topic(game_id), do: "game_server:#{game_id}"
+
+  # Holds off the auto-flip while `player_id` confirms a word, giving the
+  # countdown at least `confirmation_ms` (never more than a full countdown).
+  # One hold at a time, and one per player until the board next changes, so
+  # nobody can put the flip off for ever.
+  def hold_auto_flip(pid, player_id) do
+    GenServer.call(pid, {:hold_auto_flip, player_id})
+  end
+
+  # The player confirmed or backed out of their word: someone else may hold
+  def release_auto_flip(pid, player_id) do
+    GenServer.call(pid, {:release_auto_flip, player_id})
+  end
+
+  # Milliseconds until the next automatic flip, or nil if none is coming
+  def auto_flip_remaining_ms(%{auto_flip: %{deadline: deadline}}) do
+    max(deadline - System.monotonic_time(:millisecond), 0)
+  end
+
+  def auto_flip_remaining_ms(_state), do: nil
+
+  # Milliseconds left on a blitz game's clock, or nil if it has none running
+  def game_clock_remaining_ms(%{game_clock: %{deadline: deadline}}) do
+    max(deadline - System.monotonic_time(:millisecond), 0)
+  end
+
+  def game_clock_remaining_ms(_state), do: nil
+
   def get_game_state(pid) do
     GenServer.call(pid, :get_game_state)
   end
@@ -53,61 +149,208 @@ defmodule CutthroatAnagrams.GameServer do
     GenServer.call(pid, :end_game)
   end
 
+  # Host-only lobby actions. `changes` is a map of setting keys to new values.
+  def update_settings(pid, player_id, changes) do
+    GenServer.call(pid, {:update_settings, player_id, changes})
+  end
+
+  def start_game(pid, player_id) do
+    GenServer.call(pid, {:start_game, player_id})
+  end
+
+  # Moves `target_id` to `team` (1 up to the teams setting)
+  def assign_team(pid, player_id, target_id, team) do
+    GenServer.call(pid, {:assign_team, player_id, target_id, team})
+  end
+
+  # Disputes word `word_id` on the board. Everyone but the word's owner
+  # votes, the challenger already in favour; a majority of them revokes the
+  # claim. There has to be at least one other voter, or it's
+  # {:error, :no_voters}. Returns {:ok, state, result} with the result if
+  # the challenger's vote alone settled it, otherwise {:ok, state, nil}.
+  def challenge_word(pid, player_id, word_id) do
+    GenServer.call(pid, {:challenge_word, player_id, word_id})
+  end
+
+  # `revoke` is true to take the challenged word back, false to keep it
+  def vote_on_challenge(pid, player_id, revoke) do
+    GenServer.call(pid, {:vote_on_challenge, player_id, revoke})
+  end
+
+  # Takes back the player's most recent claim or steal, as long as no tile
+  # has been flipped since. Returns {:ok, state, word} with the word that
+  # was withdrawn.
+  def undo_claim(pid, player_id) do
+    GenServer.call(pid, {:undo_claim, player_id})
+  end
+
+  def challenge_remaining_ms(%{challenge: %{deadline: deadline}}) do
+    max(deadline - System.monotonic_time(:millisecond), 0)
+  end
+
+  def challenge_remaining_ms(_state), do: nil
+
+  def setting_keys, do: Map.keys(@default_settings)
+
+  def settings(state), do: Map.take(state, setting_keys())
+
+  def end_votes_needed(state) do
+    max(ceil(map_size(state.players) * state.end_vote_percent / 100), 1)
+  end
+
   # Server Implementation
 
   @impl true
   def init({game_id, opts}) when is_binary(game_id) do
-    tiles = create_tile_bag()
-    
-    # Get min_word_length from opts, default to 4
-    min_word_length = Keyword.get(opts, :min_word_length, 4)
+    # Settings start from the defaults, overridden by any given in opts
+    settings = Map.merge(@default_settings, Map.new(Keyword.take(opts, setting_keys())))
+    # The language is fixed when the game is created: see Languages
+    language = Keyword.get(opts, :language, "en")
+    # Have its word list ready by the time the first claim needs it
+    Dictionary.preload(language)
+    {:ok, distribution} = TileBags.distribution(settings.tile_set, settings.custom_tiles, language)
     
-    state = %{
+    state = Map.merge(settings, %{
       game_id: game_id,
+      language: language,
       status: :waiting,
+      host_id: nil,
       players: %{},
-      tile_bag: tiles,
+      spectators: MapSet.new(),
+      tile_distribution: distribution,
+      tile_bag: TileBags.fill(distribution),
       flipped_tiles: [],
-      min_word_length: min_word_length,
       current_turn: nil,
       game_started_at: nil,
-      end_votes: []
-    }
+      end_votes: [],
+      pending_claims: [],
+      arbitration_window_ms: Keyword.get(opts, :arbitration_window_ms, @default_arbitration_window_ms),
+      tie_tolerance_ms: Keyword.get(opts, :tie_tolerance_ms, @default_tie_tolerance_ms),
+      auto_flip: nil,
+      game_clock: nil,
+      # The auto-flip hold in force, and who's had one on this countdown
+      flip_hold: nil,
+      flip_holders: [],
+      # Every word claimed gets an id, and a note of where its tiles came
+      # from so a challenge can put them back
+      next_word_id: 1,
+      word_origins: %{},
+      challenge: nil,
+      # Each player's latest word since the last flip, which they can undo
+      undoable: %{}
+    })
     
-    Logger.info("Game server started for game: #{game_id} with min_word_length: #{min_word_length}")
+    Logger.info("Game server started for game: #{game_id} with min_word_length: #{state.min_word_length}")
     {:ok, state}
   end
 
   @impl true
   def handle_call({:join_player, player_id, player_name}, _from, state) do
-    if Map.has_key?(state.players, player_id) do
-      {:reply, {:error, :already_joined}, state}
-    else
-      # Generate a reconnection token for this player
-      reconnect_token = :crypto.strong_rand_bytes(32) |> Base.url_encode64(padding: false)
-      
-      player = %{
-        id: player_id,
-        name: player_name,
-        words: [],
-        score: 0,
-        joined_at: System.system_time(:millisecond),
-        connected: true,
-        reconnect_token: reconnect_token
-      }
+    cond do
+      Map.has_key?(state.players, player_id) ->
+        {:reply, {:error, :already_joined}, state}
       
-      new_players = Map.put(state.players, player_id, player)
-      new_state = %{state | players: new_players}
+      map_size(state.players) >= state.max_players ->
+        {:reply, {:error, :game_full}, state}
       
-      # Auto-start game if we have 2+ players
-      new_state = if map_size(new_players) >= 2 and state.status == :waiting do
-        %{new_state | status: :playing, current_turn: player_id, game_started_at: System.system_time(:millisecond)}
-      else
-        new_state
-      end
+      true ->
+        {new_state, reconnect_token} = add_player(state, player_id, player_name)
+        
+        Logger.info("Player #{player_name} (#{player_id}) joined game #{state.game_id}")
+        {:reply, {:ok, new_state, reconnect_token}, new_state}
+    end
+  end
+
+  @impl true
+  def handle_call({:update_settings, player_id, changes}, _from, state) do
+    cond do
+      state.status != :lobby ->
+        {:reply, {:error, :game_already_started}, state}
+      
+      player_id != state.host_id ->
+        {:reply, {:error, :not_host}, state}
+      
+      not Enum.all?(changes, fn {key, value} -> valid_setting?(key, value, state) end) ->
+        {:reply, {:error, :invalid_setting}, state}
+      
+      true ->
+        new_state = Map.merge(state, Map.new(changes, &parse_setting(&1, state)))
+        
+        # A different number of teams deals everyone out again
+        new_state = if new_state.teams != state.teams do
+          %{new_state | players: Teams.deal(new_state.players, new_state.teams)}
+        else
+          new_state
+        end
+        
+        case TileBags.distribution(new_state.tile_set, new_state.custom_tiles, state.language) do
+          {:ok, distribution} ->
+            # A different bag means refilling it now, before anything is flipped
+            new_state = if distribution != state.tile_distribution do
+              %{new_state | tile_distribution: distribution, tile_bag: TileBags.fill(distribution)}
+            else
+              new_state
+            end
+            
+            Logger.info("Host updated settings for game #{state.game_id}: #{inspect(changes)}")
+            {:reply, {:ok, new_state}, new_state}
+          
+          {:error, reason} ->
+            {:reply, {:error, reason}, state}
+        end
+    end
+  end
+
+  @impl true
+  def handle_call({:start_game, player_id}, _from, state) do
+    connected_count = Enum.count(state.players, fn {_id, player} -> player.connected end)
+    
+    cond do
+      state.status != :lobby ->
+        {:reply, {:error, :game_already_started}, state}
+      
+      player_id != state.host_id ->
+        {:reply, {:error, :not_host}, state}
+      
+      connected_count < 2 ->
+        {:reply, {:error, :not_enough_players}, state}
+      
+      not Teams.all_filled?(state.players, state.teams) ->
+        {:reply, {:error, :empty_team}, state}
       
-      Logger.info("Player #{player_name} (#{player_id}) joined game #{state.game_id}")
-      {:reply, {:ok, new_state, reconnect_token}, new_state}
+      true ->
+        # The host flips first
+        new_state =
+          %{state | status: :playing, current_turn: player_id, game_started_at: System.system_time(:millisecond)}
+          |> start_game_clock()
+          |> schedule_auto_flip()
+        
+        Logger.info("Game #{state.game_id} started by host with #{connected_count} players")
+        {:reply, {:ok, new_state}, new_state}
+    end
+  end
+
+  @impl true
+  def handle_call({:assign_team, player_id, target_id, team}, _from, state) do
+    cond do
+      state.status != :lobby ->
+        {:reply, {:error, :game_already_started}, state}
+      
+      player_id != state.host_id ->
+        {:reply, {:error, :not_host}, state}
+      
+      not Map.has_key?(state.players, target_id) ->
+        {:reply, {:error, :player_not_found}, state}
+      
+      state.teams == 0 or team not in 1..state.teams ->
+        {:reply, {:error, :invalid_team}, state}
+      
+      true ->
+        new_players = Map.update!(state.players, target_id, &%{&1 | team: team})
+        new_state = %{state | players: new_players}
+        
+        Logger.info("Host moved #{target_id} to team #{team} in game #{state.game_id}")
+        {:reply, {:ok, new_state}, new_state}
     end
   end
 
@@ -122,6 +365,9 @@ defmodule CutthroatAnagrams.GameServer do
         new_players = Map.put(state.players, player_id, updated_player)
         new_state = %{state | players: new_players}
         
+        # The countdown stops while nobody is connected
+        new_state = if state.auto_flip, do: new_state, else: schedule_auto_flip(new_state)
+        
         Logger.info("Player #{player.name} (#{player_id}) reconnected to game #{state.game_id}")
         {:reply, {:ok, new_state, player.reconnect_token}, new_state}
     end
@@ -147,13 +393,37 @@ defmodule CutthroatAnagrams.GameServer do
         # Remove the player's vote when they disconnect
         new_end_votes = Enum.filter(state.end_votes, fn vote -> vote != player_id end)
         
-        new_state = %{state | players: new_players, current_turn: new_current_turn, end_votes: new_end_votes}
+        # Hand the lobby to someone still here if the host leaves
+        new_host_id = if state.host_id == player_id do
+          get_next_connected_player(new_players, player_id)
+        else
+          state.host_id
+        end
+        
+        new_state = %{state | players: new_players, current_turn: new_current_turn, end_votes: new_end_votes, host_id: new_host_id}
         
         Logger.info("Player #{player.name} (#{player_id}) disconnected from game #{state.game_id}")
         {:reply, {:ok, new_state}, new_state}
     end
   end
 
+  @impl true
+  def handle_call({:add_spectator, spectator_id}, _from, state) do
+    # Spectators watch without a turn or a vote, so they stay out of players
+    new_state = %{state | spectators: MapSet.put(state.spectators, spectator_id)}
+    
+    Logger.info("Spectator #{spectator_id} is watching game #{state.game_id}")
+    {:reply, {:ok, new_state}, new_state}
+  end
+
+  @impl true
+  def handle_call({:remove_spectator, spectator_id}, _from, state) do
+    new_state = %{state | spectators: MapSet.delete(state.spectators, spectator_id)}
+    
+    Logger.info("Spectator #{spectator_id} stopped watching game #{state.game_id}")
+    {:reply, {:ok, new_state}, new_state}
+  end
+
   @impl true
   def handle_call({:flip_tile, player_id}, _from, state) do
     cond do
@@ -167,106 +437,179 @@ defmodule CutthroatAnagrams.GameServer do
         {:reply, {:error, :no_tiles_left}, state}
       
       true ->
-        {tile, remaining_tiles} = List.pop_at(state.tile_bag, 0)
-        new_flipped = state.flipped_tiles ++ [tile]
-        
-        # Rotate turn to next connected player
-        next_player = get_next_connected_player(state.players, player_id)
+        {tile, new_state} = flip_next_tile(state, player_id)
+        {:reply, {:ok, tile, new_state}, new_state}
+    end
+  end
+
+  @impl true
+  def handle_call({:hold_auto_flip, player_id}, _from, state) do
+    now = System.monotonic_time(:millisecond)
+    held? = match?(%{until: until} when until > now, state.flip_hold)
+    
+    new_state =
+      if state.auto_flip == nil or held? or player_id in state.flip_holders do
+        state
+      else
+        hold_ms = min(state.confirmation_ms, auto_flip_ms(state))
         
-        new_state = %{state | 
-          tile_bag: remaining_tiles,
-          flipped_tiles: new_flipped,
-          current_turn: next_player
+        %{start_auto_flip_timer(state, max(auto_flip_remaining_ms(state), hold_ms)) |
+          flip_hold: %{player_id: player_id, until: now + hold_ms},
+          flip_holders: [player_id | state.flip_holders]
+        }
+      end
+    
+    {:reply, {:ok, new_state}, new_state}
+  end
+
+  @impl true
+  def handle_call({:release_auto_flip, player_id}, _from, state) do
+    new_state = if match?(%{player_id: ^player_id}, state.flip_hold), do: %{state | flip_hold: nil}, else: state
+    {:reply, {:ok, new_state}, new_state}
+  end
+
+  @impl true
+  def handle_call({:claim_word, player_id, word, timestamp}, _from, state) do
+    case apply_claim(state, player_id, word, timestamp) do
+      {:ok, new_state} -> {:reply, {:ok, new_state}, new_state}
+      {:error, reason} -> {:reply, {:error, reason}, state}
+    end
+  end
+
+  @impl true
+  def handle_call({:steal_word, player_id, word, from_players, timestamp}, _from, state) do
+    case apply_steal(state, player_id, word, from_players, timestamp) do
+      {:ok, new_state} -> {:reply, {:ok, new_state}, new_state}
+      {:error, reason} -> {:reply, {:error, reason}, state}
+    end
+  end
+
+  @impl true
+  def handle_call({:submit_claim, player_id, claim}, _from, state) do
+    cond do
+      state.status != :playing ->
+        {:reply, {:error, :game_not_started}, state}
+      
+      not Map.has_key?(state.players, player_id) ->
+        {:reply, {:error, :player_not_found}, state}
+      
+      Map.get(claim, :from_players) && not stolen_words_exist?(state.players, claim.from_players) ->
+        {:reply, {:error, :invalid_steal}, state}
+      
+      true ->
+        pending = %{
+          player_id: player_id,
+          player_name: state.players[player_id].name,
+          word: Languages.fold(claim.word, state.language),
+          letters: Languages.tiles(claim.word, state.language) || [],
+          from_players: Map.get(claim, :from_players),
+          # Indices shift as words are stolen, so remember the words themselves
+          stolen: Map.get(claim, :from_players) && stolen_word_refs(state.players, claim.from_players),
+          timestamp: Map.get(claim, :timestamp) || System.system_time(:millisecond),
+          received_at: System.monotonic_time(:millisecond)
         }
         
-        {:reply, {:ok, tile, new_state}, new_state}
+        # The first claim opens the window; later ones just join it
+        if state.pending_claims == [] do
+          Process.send_after(self(), :resolve_claims, state.arbitration_window_ms)
+        end
+        
+        new_state = %{state | pending_claims: state.pending_claims ++ [pending]}
+        {:reply, {:ok, :pending}, new_state}
     end
   end
 
   @impl true
-  def handle_call({:claim_word, player_id, word, timestamp}, _from, state) do
+  def handle_call({:challenge_word, player_id, word_id}, _from, state) do
+    owner_id = word_owner(state, word_id)
+    # The challenger plus everyone else still at the table, bar the owner
+    voters = for {id, player} <- state.players, id != owner_id and (player.connected or id == player_id), do: id
+    
     cond do
       state.status != :playing ->
         {:reply, {:error, :game_not_started}, state}
       
-      String.length(word) < state.min_word_length ->
-        {:reply, {:error, :word_too_short}, state}
+      not Map.has_key?(state.players, player_id) ->
+        {:reply, {:error, :player_not_found}, state}
+      
+      state.challenge != nil ->
+        {:reply, {:error, :challenge_in_progress}, state}
+      
+      owner_id == nil ->
+        {:reply, {:error, :word_not_found}, state}
       
-      not CutthroatAnagrams.Dictionary.valid_word?(word) ->
-        {:reply, {:error, :not_in_dictionary}, state}
+      owner_id == player_id ->
+        {:reply, {:error, :own_word}, state}
       
-      not valid_word_from_tiles?(word, state.flipped_tiles) ->
-        {:reply, {:error, :invalid_tiles}, state}
+      # With nobody else to ask, the challenger's own vote would decide it
+      length(voters) < 2 ->
+        {:reply, {:error, :no_voters}, state}
       
       true ->
-        # Remove used tiles from flipped tiles
-        used_tiles = String.upcase(word) |> String.graphemes()
-        remaining_flipped = remove_used_tiles(state.flipped_tiles, used_tiles)
+        ref = make_ref()
+        Process.send_after(self(), {:challenge_expired, ref}, @challenge_vote_ms)
         
-        # Add word to player
-        player = Map.get(state.players, player_id)
-        updated_words = player.words ++ [%{word: word, claimed_at: timestamp, letters: used_tiles}]
-        updated_player = %{player | words: updated_words, score: calculate_score(updated_words)}
+        word = Enum.find(state.players[owner_id].words, &(Map.get(&1, :id) == word_id))
         
-        new_players = Map.put(state.players, player_id, updated_player)
-        new_state = %{state | players: new_players, flipped_tiles: remaining_flipped}
+        challenge = %{
+          ref: ref,
+          word_id: word_id,
+          word: word.word,
+          owner_id: owner_id,
+          challenger_id: player_id,
+          voters: voters,
+          votes: %{player_id => true},
+          deadline: System.monotonic_time(:millisecond) + @challenge_vote_ms
+        }
         
-        Logger.info("Player #{player.name} claimed word: #{word}")
-        {:reply, {:ok, new_state}, new_state}
+        Logger.info("Player #{player_id} challenged #{word.word} in game #{state.game_id}")
+        {new_state, result} = settle_challenge(%{state | challenge: challenge}, false)
+        {:reply, {:ok, new_state, result}, new_state}
     end
   end
 
   @impl true
-  def handle_call({:steal_word, player_id, word, from_players, timestamp}, _from, state) do
+  def handle_call({:vote_on_challenge, player_id, revoke}, _from, state) do
+    cond do
+      state.challenge == nil ->
+        {:reply, {:error, :no_challenge}, state}
+      
+      player_id not in state.challenge.voters ->
+        {:reply, {:error, :not_a_voter}, state}
+      
+      Map.has_key?(state.challenge.votes, player_id) ->
+        {:reply, {:error, :already_voted}, state}
+      
+      true ->
+        new_state = put_in(state.challenge.votes[player_id], revoke == true)
+        {new_state, result} = settle_challenge(new_state, false)
+        {:reply, {:ok, new_state, result}, new_state}
+    end
+  end
+
+  @impl true
+  def handle_call({:undo_claim, player_id}, _from, state) do
+    word_id = state.undoable[player_id]
+    words = get_in(state.players, [player_id, :words]) || []
+    word = word_id && Enum.find(words, &(Map.get(&1, :id) == word_id))
+    
     cond do
       state.status != :playing ->
         {:reply, {:error, :game_not_started}, state}
       
-      String.length(word) < state.min_word_length ->
-        {:reply, {:error, :word_too_short}, state}
-      
-      not CutthroatAnagrams.Dictionary.valid_word?(word) ->
-        {:reply, {:error, :not_in_dictionary}, state}
+      # Nothing claimed since the last flip, or it's been stolen since
+      word == nil ->
+        {:reply, {:error, :nothing_to_undo}, state}
       
       true ->
-        # Get all letters from stolen words plus flipped tiles
-        stolen_words = get_stolen_words(state.players, from_players)
-        stolen_letters = get_letters_from_stolen_words(state.players, from_players)
-        available_letters = stolen_letters ++ state.flipped_tiles
+        {:ok, new_state} = revoke_word(state, word_id)
         
-        # Calculate which flipped tiles would be used
-        word_letters = String.upcase(word) |> String.graphemes()
-        used_flipped_tiles = word_letters -- stolen_letters
+        # No need to vote on a word that's gone
+        challenge = if match?(%{word_id: ^word_id}, state.challenge), do: nil, else: state.challenge
+        new_state = %{new_state | challenge: challenge, undoable: Map.delete(new_state.undoable, player_id)}
         
-        cond do
-          not valid_word_from_tiles?(word, available_letters) ->
-            {:reply, {:error, :invalid_steal}, state}
-          
-          # Must use at least one new tile from the pool when stealing
-          Enum.empty?(used_flipped_tiles) ->
-            {:reply, {:error, :must_add_letter}, state}
-          
-          not valid_steal_transformation?(word, stolen_words, used_flipped_tiles) ->
-            {:reply, {:error, :invalid_transformation}, state}
-          
-          true ->
-            # Remove words from victims
-            updated_players = remove_words_from_players(state.players, from_players)
-            
-            # Remove used tiles from flipped tiles
-            remaining_flipped = remove_used_tiles(state.flipped_tiles, used_flipped_tiles)
-            
-            # Add word to stealing player
-            player = Map.get(updated_players, player_id)
-            updated_words = player.words ++ [%{word: word, claimed_at: timestamp, letters: word_letters, stolen_from: from_players}]
-            updated_player = %{player | words: updated_words, score: calculate_score(updated_words)}
-            final_players = Map.put(updated_players, player_id, updated_player)
-            
-            new_state = %{state | players: final_players, flipped_tiles: remaining_flipped}
-            
-            Logger.info("Player #{player.name} stole word: #{word} from #{inspect(from_players)}")
-            {:reply, {:ok, new_state}, new_state}
-        end
+        Logger.info("Player #{player_id} withdrew #{word.word} in game #{state.game_id}")
+        {:reply, {:ok, new_state, word.word}, new_state}
     end
   end
 
@@ -292,22 +635,13 @@ defmodule CutthroatAnagrams.GameServer do
         new_state = %{state | end_votes: new_votes}
         
         # Check if we have enough votes to end the game
-        total_players = map_size(state.players)
-        votes_needed = :math.ceil(total_players / 2)
+        votes_needed = end_votes_needed(state)
         
         if length(new_votes) >= votes_needed do
           # End the game automatically
-          final_scores = calculate_final_scores(state.players)
-          winner = determine_winner(final_scores)
+          final_state = finish_game(new_state, :vote)
           
-          final_state = Map.merge(new_state, %{
-            status: :finished,
-            final_scores: final_scores,
-            winner: winner,
-            ended_at: System.system_time(:millisecond)
-          })
-          
-          Logger.info("Game #{state.game_id} ended by vote. Winner: #{inspect(winner)}")
+          Logger.info("Game #{state.game_id} ended by vote. Winner: #{inspect(final_state.winner)}")
           {:reply, {:ok, final_state, :game_ended}, final_state}
         else
           Logger.info("Player #{player_id} voted to end game #{state.game_id}. #{length(new_votes)}/#{votes_needed} votes")
@@ -318,31 +652,595 @@ defmodule CutthroatAnagrams.GameServer do
 
   @impl true
   def handle_call(:end_game, _from, state) do
-    final_scores = calculate_final_scores(state.players)
-    winner = determine_winner(final_scores)
+    final_state = finish_game(state, :ended)
+    
+    Logger.info("Game #{state.game_id} ended. Winner: #{inspect(final_state.winner)}")
+    {:reply, {:ok, final_state}, final_state}
+  end
+
+  @impl true
+  def handle_info(:resolve_claims, state) do
+    # Work out who goes first against the board as it was when the claims came in
+    ordered = order_claims(state.pending_claims, state)
+    
+    {results, new_state} =
+      Enum.map_reduce(ordered, %{state | pending_claims: []}, fn {claim, coin_flip}, acc ->
+        case resolve_claim(acc, claim) do
+          {:ok, updated, from_players} -> {result_for(%{claim | from_players: from_players}, :ok, coin_flip), updated}
+          {:error, reason} -> {result_for(claim, {:error, reason}, coin_flip), acc}
+        end
+      end)
+    
+    results = drop_uncontested_coin_flips(results)
+    
+    Phoenix.PubSub.broadcast(CutthroatAnagrams.PubSub, topic(state.game_id), {:claims_resolved, results, new_state})
+    {:noreply, new_state}
+  end
+
+  @impl true
+  def handle_info({:auto_flip, token}, %{auto_flip: %{token: token}} = state) do
+    connected? = Enum.any?(state.players, fn {_id, player} -> player.connected end)
+    
+    cond do
+      state.status != :playing or Enum.empty?(state.tile_bag) ->
+        {:noreply, %{state | auto_flip: nil}}
+      
+      not connected? ->
+        # Nobody's watching - pick the countdown back up when someone reconnects
+        {:noreply, %{state | auto_flip: nil}}
+      
+      true ->
+        # Flip on behalf of whoever's turn it is, even if they've gone quiet
+        {tile, new_state} = flip_next_tile(state, state.current_turn)
+        
+        Logger.info("Auto-flipped #{tile} in game #{state.game_id}")
+        Phoenix.PubSub.broadcast(CutthroatAnagrams.PubSub, topic(state.game_id), {:tile_flipped, tile, new_state})
+        {:noreply, new_state}
+    end
+  end
+
+  # A timer that was reset or cancelled after it fired
+  def handle_info({:auto_flip, _token}, state) do
+    {:noreply, state}
+  end
+
+  # A blitz game's clock ran out - it ends wherever it's got to
+  def handle_info(:game_clock_expired, %{status: :playing, game_clock: %{}} = state) do
+    final_state = finish_game(state, :time_up)
     
-    final_state = Map.merge(state, %{
+    Logger.info("Game #{state.game_id} ran out of time. Winner: #{inspect(final_state.winner)}")
+    Phoenix.PubSub.broadcast(CutthroatAnagrams.PubSub, topic(state.game_id), {:game_ended, final_state})
+    {:noreply, final_state}
+  end
+
+  def handle_info(:game_clock_expired, state) do
+    {:noreply, state}
+  end
+
+  # Time's up on a challenge: whoever hasn't voted counts against it
+  def handle_info({:challenge_expired, ref}, %{challenge: %{ref: ref}} = state) do
+    {new_state, result} = settle_challenge(state, true)
+    
+    Phoenix.PubSub.broadcast(CutthroatAnagrams.PubSub, topic(state.game_id), {:challenge_resolved, result, new_state})
+    {:noreply, new_state}
+  end
+
+  def handle_info({:challenge_expired, _ref}, state) do
+    {:noreply, state}
+  end
+
+  # Helper Functions
+
+  defp add_player(state, player_id, player_name) do
+    # Generate a reconnection token for this player
+    reconnect_token = :crypto.strong_rand_bytes(32) |> Base.url_encode64(padding: false)
+    
+    player = %{
+      id: player_id,
+      name: player_name,
+      words: [],
+      score: 0,
+      steals: 0,
+      times_stolen: 0,
+      team: Teams.smallest_team(state.players, state.teams),
+      joined_at: System.system_time(:millisecond),
+      connected: true,
+      reconnect_token: reconnect_token
+    }
+    
+    new_players = Map.put(state.players, player_id, player)
+    new_state = %{state | players: new_players}
+    
+    # Whoever joins first hosts the lobby until they start the game
+    new_state = if state.status == :waiting do
+      %{new_state | status: :lobby, host_id: player_id}
+    else
+      new_state
+    end
+    
+    {new_state, reconnect_token}
+  end
+
+  defp flip_next_tile(state, player_id) do
+    {tile, remaining_tiles} = List.pop_at(state.tile_bag, 0)
+    new_flipped = state.flipped_tiles ++ [tile]
+    
+    # Rotate turn to next connected player
+    next_player = get_next_connected_player(state.players, player_id)
+    
+    # A flip closes everyone's chance to undo
+    new_state = %{state | 
+      tile_bag: remaining_tiles,
+      flipped_tiles: new_flipped,
+      current_turn: next_player,
+      undoable: %{}
+    }
+    
+    {tile, schedule_auto_flip(new_state)}
+  end
+
+  # (Re)starts the auto-flip countdown, or stops it once there's nothing
+  # left to flip. A fresh countdown ends any hold on the old one.
+  defp schedule_auto_flip(state) do
+    start_auto_flip_timer(%{state | flip_hold: nil, flip_holders: []}, auto_flip_ms(state))
+  end
+
+  # The token lets a timer that fires after being replaced be told apart
+  # from the current one
+  defp start_auto_flip_timer(state, ms) do
+    state = cancel_auto_flip(state)
+    
+    if state.status == :playing and state.tile_bag != [] and state.auto_flip_ms do
+      token = make_ref()
+      timer = Process.send_after(self(), {:auto_flip, token}, ms)
+      deadline = System.monotonic_time(:millisecond) + ms
+      %{state | auto_flip: %{token: token, timer: timer, deadline: deadline}}
+    else
+      state
+    end
+  end
+
+  defp auto_flip_ms(%{blitz_minutes: 0} = state), do: state.auto_flip_ms
+  defp auto_flip_ms(state), do: min(state.auto_flip_ms, @blitz_auto_flip_ms)
+
+  defp start_game_clock(%{blitz_minutes: 0} = state), do: state
+
+  defp start_game_clock(state) do
+    duration_ms = state.blitz_minutes * 60_000
+    timer = Process.send_after(self(), :game_clock_expired, duration_ms)
+    %{state | game_clock: %{timer: timer, deadline: System.monotonic_time(:millisecond) + duration_ms}}
+  end
+
+  defp cancel_game_clock(%{game_clock: nil} = state), do: state
+
+  defp cancel_game_clock(state) do
+    Process.cancel_timer(state.game_clock.timer)
+    %{state | game_clock: nil}
+  end
+
+  # `ended_by` is :vote, :time_up or :ended (someone ended it outright)
+  defp finish_game(state, ended_by) do
+    final_scores = calculate_final_scores(state)
+    
+    state
+    |> cancel_auto_flip()
+    |> cancel_game_clock()
+    |> Map.merge(%{
       status: :finished,
       final_scores: final_scores,
-      winner: winner,
-      ended_at: System.system_time(:millisecond)
+      winner: determine_winner(final_scores),
+      ended_by: ended_by,
+      ended_at: System.system_time(:millisecond),
+      challenge: nil
     })
+  end
+
+  defp cancel_auto_flip(%{auto_flip: nil} = state), do: state
+
+  defp cancel_auto_flip(state) do
+    Process.cancel_timer(state.auto_flip.timer)
+    %{state | auto_flip: nil}
+  end
+
+  defp apply_claim(state, player_id, word, timestamp) do
+    word = Languages.fold(word, state.language)
+    # Lengths are in tiles, so a digraph such as Spanish LL counts once
+    used_tiles = Languages.tiles(word, state.language)
     
-    Logger.info("Game #{state.game_id} ended. Winner: #{inspect(winner)}")
-    {:reply, {:ok, final_state}, final_state}
+    cond do
+      state.status != :playing ->
+        {:error, :game_not_started}
+      
+      is_nil(used_tiles) ->
+        {:error, :invalid_tiles}
+      
+      length(used_tiles) < state.min_word_length ->
+        {:error, :word_too_short}
+      
+      HouseLists.banned?(state, word) ->
+        {:error, :banned_word}
+      
+      not HouseLists.valid_word?(state, word) ->
+        {:error, :not_in_dictionary}
+      
+      not valid_word_from_tiles?(used_tiles, state.flipped_tiles) ->
+        {:error, :invalid_tiles}
+      
+      true ->
+        # Remove used tiles from flipped tiles
+        remaining_flipped = remove_used_tiles(state.flipped_tiles, used_tiles)
+        
+        {word_id, state} = track_word(state, %{
+          player_id: player_id,
+          pool: pool_positions(state.flipped_tiles, used_tiles),
+          stolen: [],
+          counted_victims: [],
+          steals: 0
+        })
+        
+        # Add word to player
+        player = Map.get(state.players, player_id)
+        updated_words = player.words ++ [%{id: word_id, word: word, claimed_at: timestamp, letters: used_tiles}]
+        updated_player = score_player(%{player | words: updated_words}, state)
+        
+        new_players = Map.put(state.players, player_id, updated_player)
+        new_state = %{state | players: new_players, flipped_tiles: remaining_flipped}
+        
+        Logger.info("Player #{player.name} claimed word: #{word}")
+        {:ok, schedule_auto_flip(new_state)}
+    end
   end
 
-  # Helper Functions
+  defp apply_steal(state, player_id, word, from_players, timestamp) do
+    word = Languages.fold(word, state.language)
+    word_letters = Languages.tiles(word, state.language)
+    
+    cond do
+      state.status != :playing ->
+        {:error, :game_not_started}
+      
+      is_nil(word_letters) ->
+        {:error, :invalid_steal}
+      
+      length(word_letters) < state.min_word_length ->
+        {:error, :word_too_short}
+      
+      HouseLists.banned?(state, word) ->
+        {:error, :banned_word}
+      
+      not HouseLists.valid_word?(state, word) ->
+        {:error, :not_in_dictionary}
+      
+      not stolen_words_exist?(state.players, from_players) ->
+        {:error, :invalid_steal}
+      
+      true ->
+        # Get all letters from stolen words plus flipped tiles
+        stolen_words = get_stolen_words(state.players, from_players)
+        stolen_letters = get_letters_from_stolen_words(state.players, from_players)
+        available_letters = stolen_letters ++ state.flipped_tiles
+        
+        # Calculate which flipped tiles would be used
+        used_flipped_tiles = word_letters -- stolen_letters
+        
+        cond do
+          not valid_word_from_tiles?(word_letters, available_letters) ->
+            {:error, :invalid_steal}
+          
+          true ->
+            steal_opts = [rule_set: state.steal_rules, is_word: &HouseLists.valid_word?(state, &1)]
+            
+            case StealRules.check(word, stolen_words, used_flipped_tiles, steal_opts) do
+              :ok ->
+                # Under the "rearrange" rule, words taken from the thief's own
+                # team aren't steals
+                counted_victims = Enum.filter(Map.keys(from_players), &Teams.counts_as_steal?(state, player_id, &1))
+                steals = if counted_victims == [], do: 0, else: 1
+                
+                {word_id, state} = track_word(state, %{
+                  player_id: player_id,
+                  pool: pool_positions(state.flipped_tiles, used_flipped_tiles),
+                  stolen: stolen_word_origins(state.players, from_players),
+                  counted_victims: counted_victims,
+                  steals: steals
+                })
+                
+                # Remove words from victims
+                updated_players = remove_words_from_players(state.players, from_players, counted_victims)
+                
+                # Remove used tiles from flipped tiles
+                remaining_flipped = remove_used_tiles(state.flipped_tiles, used_flipped_tiles)
+                
+                # Add word to stealing player
+                player = Map.get(updated_players, player_id)
+                updated_words = player.words ++ [%{id: word_id, word: word, claimed_at: timestamp, letters: word_letters, stolen_from: from_players}]
+                updated_player = %{player | words: updated_words} |> Map.put(:steals, Map.get(player, :steals, 0) + steals)
+                
+                # Steal bonuses and penalties change the victims' scores too
+                final_players =
+                  updated_players
+                  |> Map.put(player_id, updated_player)
+                  |> Map.new(fn {id, p} -> {id, score_player(p, state)} end)
+                
+                new_state = %{state | players: final_players, flipped_tiles: remaining_flipped}
+                
+                Logger.info("Player #{player.name} stole word: #{word} from #{inspect(from_players)}")
+                {:ok, schedule_auto_flip(new_state)}
+              
+              {:error, reason} ->
+                {:error, reason}
+            end
+        end
+    end
+  end
 
-  defp create_tile_bag do
-    @scrabble_tiles
-    |> Enum.flat_map(fn {letter, count} -> List.duplicate(letter, count) end)
-    |> Enum.shuffle()
+  defp resolve_claim(state, %{stolen: nil} = claim) do
+    case apply_claim(state, claim.player_id, claim.word, claim.timestamp) do
+      {:ok, new_state} -> {:ok, new_state, nil}
+      error -> error
+    end
   end
 
-  defp valid_word_from_tiles?(word, tiles) do
+  defp resolve_claim(state, claim) do
+    # An earlier claim in the window may have taken a word this steal wanted
+    case current_word_indices(state.players, claim.stolen) do
+      {:ok, from_players} ->
+        case apply_steal(state, claim.player_id, claim.word, from_players, claim.timestamp) do
+          {:ok, new_state} -> {:ok, new_state, from_players}
+          error -> error
+        end
+      
+      :error ->
+        {:error, :word_already_stolen}
+    end
+  end
+
+  defp track_word(state, origin) do
+    word_id = state.next_word_id
+    
+    {word_id, %{state |
+      next_word_id: word_id + 1,
+      word_origins: Map.put(state.word_origins, word_id, origin),
+      undoable: Map.put(state.undoable, origin.player_id, word_id)
+    }}
+  end
+
+  # Where in the pool each of `used_tiles` was, as {index, tile} pairs in
+  # pool order, taking the same copies `remove_used_tiles/2` does
+  defp pool_positions(tiles, used_tiles) do
+    {positions, _left} =
+      Enum.reduce(used_tiles, {[], Enum.with_index(tiles)}, fn tile, {positions, left} ->
+        {_tile, index} = entry = Enum.find(left, fn {t, _index} -> t == tile end)
+        {[{index, tile} | positions], List.delete(left, entry)}
+      end)
+    
+    Enum.sort(positions)
+  end
+
+  # Each word a steal takes, with where its owner had it
+  defp stolen_word_origins(players, from_players) do
+    for {player_id, indices} <- from_players, index <- Enum.sort(indices) do
+      %{player_id: player_id, index: index, word: Enum.at(players[player_id].words, index)}
+    end
+  end
+
+  defp word_owner(state, word_id) do
+    Enum.find_value(state.players, fn {id, player} ->
+      if Enum.any?(player.words, &(Map.get(&1, :id) == word_id)), do: id
+    end)
+  end
+
+  # Takes word `word_id` back off the board as if it had never been claimed:
+  # its tiles go back where they were in the pool, the words it stole go
+  # back to their owners where they had them, and steal counts and scores
+  # are wound back
+  defp revoke_word(state, word_id) do
+    origin = state.word_origins[word_id]
+    owner = origin && state.players[origin.player_id]
+    index = owner && Enum.find_index(owner.words, &(Map.get(&1, :id) == word_id))
+    
+    if index do
+      owner = %{owner | words: List.delete_at(owner.words, index)} |> Map.put(:steals, Map.get(owner, :steals, 0) - origin.steals)
+      
+      # Lowest positions first, so each word lands where it was
+      players =
+        origin.stolen
+        |> Enum.sort_by(& &1.index)
+        |> Enum.reduce(Map.put(state.players, origin.player_id, owner), fn stolen, acc ->
+          Map.update!(acc, stolen.player_id, fn victim ->
+            times_stolen = Map.get(victim, :times_stolen, 0) - if(stolen.player_id in origin.counted_victims, do: 1, else: 0)
+            %{victim | words: List.insert_at(victim.words, stolen.index, stolen.word)} |> Map.put(:times_stolen, times_stolen)
+          end)
+        end)
+        |> Map.new(fn {id, p} -> {id, score_player(p, state)} end)
+      
+      new_state = %{state |
+        players: players,
+        flipped_tiles: Enum.reduce(origin.pool, state.flipped_tiles, fn {i, tile}, tiles -> List.insert_at(tiles, i, tile) end),
+        word_origins: Map.delete(state.word_origins, word_id)
+      }
+      
+      {:ok, schedule_auto_flip(new_state)}
+    else
+      {:error, :word_gone}
+    end
+  end
+
+  # Settles the challenge once a majority of its voters is for revoking, or
+  # can't be any more. At the deadline (`expired`) it's settled either way.
+  # Returns the new state and the result, or nil while it's still open.
+  defp settle_challenge(%{challenge: challenge} = state, expired) do
+    votes = Map.values(challenge.votes)
+    for_revoking = Enum.count(votes, & &1)
+    undecided = length(challenge.voters) - length(votes)
+    majority = div(length(challenge.voters), 2) + 1
+    
+    cond do
+      for_revoking >= majority ->
+        finish_challenge(state, true)
+      
+      expired or for_revoking + undecided < majority ->
+        finish_challenge(state, false)
+      
+      true ->
+        {state, nil}
+    end
+  end
+
+  defp finish_challenge(%{challenge: challenge} = state, upheld) do
+    state = %{state | challenge: nil}
+    
+    {new_state, revoked} =
+      case upheld && revoke_word(state, challenge.word_id) do
+        {:ok, revoked_state} -> {revoked_state, true}
+        _ -> {state, false}
+      end
+    
+    votes = Map.values(challenge.votes)
+    
+    result = %{
+      word_id: challenge.word_id,
+      word: challenge.word,
+      owner_id: challenge.owner_id,
+      challenger_id: challenge.challenger_id,
+      revoked: revoked,
+      votes_for: Enum.count(votes, & &1),
+      votes_against: Enum.count(votes, &(not &1))
+    }
+    
+    Logger.info("Challenge of #{challenge.word} in game #{state.game_id} #{if revoked, do: "upheld", else: "failed"}")
+    {new_state, result}
+  end
+
+  defp stolen_word_refs(players, from_players) do
+    for {player_id, indices} <- from_players, index <- indices do
+      {player_id, Enum.at(players[player_id].words, index)}
+    end
+  end
+
+  defp current_word_indices(players, refs) do
+    Enum.reduce_while(refs, {:ok, %{}}, fn {player_id, word}, {:ok, acc} ->
+      index = players |> Map.get(player_id, %{words: []}) |> Map.get(:words) |> Enum.find_index(&(&1 == word))
+      
+      if index do
+        {:cont, {:ok, Map.update(acc, player_id, [index], &(&1 ++ [index]))}}
+      else
+        {:halt, :error}
+      end
+    end)
+  end
+
+  # A coin flip only matters if someone lost it - claims that merely shared
+  # a letter the pool had two of can all go through
+  defp drop_uncontested_coin_flips(results) do
+    Enum.map(results, fn
+      %{coin_flip: nil} = result ->
+        result
+      
+      result ->
+        contested = Enum.any?(results, &(&1.coin_flip == result.coin_flip and &1.result != :ok))
+        if contested, do: result, else: %{result | coin_flip: nil}
+    end)
+  end
+
+  defp stolen_words_exist?(players, from_players) do
+    Enum.all?(from_players, fn {player_id, word_indices} ->
+      case Map.get(players, player_id) do
+        nil -> false
+        player -> Enum.all?(word_indices, &(&1 >= 0 and &1 < length(player.words)))
+      end
+    end)
+  end
+
+  # Claims in the order they should be applied. Each claim goes in the order
+  # the server received it, except that competing claims that landed within
+  # the tie tolerance of it are settled by a coin flip. Returns
+  # `[{claim, coin_flip}]` where `coin_flip` lists the tied claims, or nil.
+  defp order_claims([], _state), do: []
+
+  defp order_claims([first | rest], state) do
+    {tied, later} = Enum.split_with(rest, fn claim ->
+      claim.received_at - first.received_at <= state.tie_tolerance_ms and
+        claims_compete?(first, claim)
+    end)
+    
+    case tied do
+      [] ->
+        [{first, nil} | order_claims(later, state)]
+      
+      _ ->
+        contenders = [first | tied]
+        [winner | losers] = Enum.shuffle(contenders)
+        
+        Logger.info("Coin flip between #{length(contenders)} claims in game #{state.game_id}: #{winner.player_name} wins")
+        Enum.map([winner | losers], &{&1, contenders}) ++ order_claims(later, state)
+    end
+  end
+
+  # Two claims compete if they'd take any of the same pool tiles or any of
+  # the same words
+  defp claims_compete?(a, b) do
+    {pool_a, words_a} = claim_footprint(a)
+    {pool_b, words_b} = claim_footprint(b)
+    
+    not MapSet.disjoint?(words_a, words_b) or
+      Enum.any?(Map.keys(pool_a), &Map.has_key?(pool_b, &1))
+  end
+
+  defp claim_footprint(%{stolen: nil} = claim) do
+    {count_letters(claim.letters), MapSet.new()}
+  end
+
+  defp claim_footprint(claim) do
+    stolen_letters = Enum.flat_map(claim.stolen, fn {_player_id, word} -> word.letters end)
+    {count_letters(claim.letters -- stolen_letters), MapSet.new(claim.stolen)}
+  end
+
+  defp result_for(claim, outcome, coin_flip) do
+    %{
+      player_id: claim.player_id,
+      player_name: claim.player_name,
+      word: claim.word,
+      from_players: claim.from_players,
+      timestamp: claim.timestamp,
+      result: outcome,
+      coin_flip: coin_flip && Enum.map(coin_flip, &Map.take(&1, [:player_id, :player_name, :word]))
+    }
+  end
+
+  # Whether the bag is usable is TileBags' call, once the change is merged
+  defp valid_setting?(:tile_set, value, state), do: value == "custom" or value in TileBags.presets(state.language)
+
+  defp valid_setting?(:custom_tiles, value, _state), do: is_map(value) or is_nil(value)
+
+  defp valid_setting?(:scoring, value, _state), do: value in Scoring.modes()
+
+  defp valid_setting?(:teammate_steals, value, _state), do: value in Teams.teammate_steal_rules()
+
+  defp valid_setting?(:steal_rules, value, _state), do: value in StealRules.rule_sets()
+
+  defp valid_setting?(key, value, state) when key in [:banned_words, :allowed_words] do
+    HouseLists.valid?(value, state.language)
+  end
+
+  # Can't shrink the table below the players already sitting at it
+  defp valid_setting?(:max_players, value, state) do
+    is_integer(value) and value in @setting_ranges.max_players and value >= map_size(state.players)
+  end
+
+  defp valid_setting?(key, value, _state) do
+    Map.has_key?(@setting_ranges, key) and is_integer(value) and value in @setting_ranges[key]
+  end
+
+  # House lists arrive as text
+  defp parse_setting({key, text}, state) when key in [:banned_words, :allowed_words] do
+    {key, HouseLists.parse(text, state.language)}
+  end
+
+  defp parse_setting(change, _state), do: change
+
+  defp valid_word_from_tiles?(word_letters, tiles) do
     # Check if word can be formed from available tiles (dictionary check is separate)
-    word_letters = String.upcase(word) |> String.graphemes()
     available_counts = count_letters(tiles)
     needed_counts = count_letters(word_letters)
     
@@ -383,43 +1281,13 @@ defmodule CutthroatAnagrams.GameServer do
     end)
   end
 
-  defp valid_steal_transformation?(new_word, stolen_words, used_flipped_tiles) do
-    # A steal must use at least one new tile and create meaningful transformation
-    # Not just adding a simple suffix
-    
-    invalid_suffixes = ["s", "es", "ed", "ing", "ly", "er", "est", "ness", "ment", "ful", "less", "able", "ible"]
-    
-    new_word_lower = String.downcase(new_word)
-    num_new_tiles = length(used_flipped_tiles)
-    
-    # Check if any stolen word is just the new word minus a common suffix
-    not Enum.any?(stolen_words, fn stolen_word ->
-      stolen_lower = String.downcase(stolen_word)
-      
-      # If only adding 1-2 letters, check if it's just a suffix
-      if num_new_tiles <= 2 do
-        # Check if new word is just the stolen word plus a suffix
-        Enum.any?(invalid_suffixes, fn suffix ->
-          new_word_lower == stolen_lower <> suffix
-        end) or
-        # Also check if the stolen word is contained in the new word as a prefix
-        (String.starts_with?(new_word_lower, stolen_lower) and 
-         String.length(new_word_lower) - String.length(stolen_lower) == num_new_tiles)
-      else
-        # With 3+ new letters, generally allow it unless it's an obvious suffix
-        Enum.any?(["ing", "ness", "ment", "tion", "ation"], fn suffix ->
-          String.ends_with?(new_word_lower, suffix) and
-          String.starts_with?(new_word_lower, stolen_lower)
-        end)
-      end
-    end)
-  end
-
-  defp remove_words_from_players(players, from_players) do
+  defp remove_words_from_players(players, from_players, counted_victims) do
     Enum.reduce(from_players, players, fn {player_id, word_indices}, acc ->
       player = Map.get(acc, player_id)
       remaining_words = remove_words_by_indices(player.words, word_indices)
-      updated_player = %{player | words: remaining_words, score: calculate_score(remaining_words)}
+      lost = if player_id in counted_victims, do: length(word_indices), else: 0
+      times_stolen = Map.get(player, :times_stolen, 0) + lost
+      updated_player = %{player | words: remaining_words} |> Map.put(:times_stolen, times_stolen)
       Map.put(acc, player_id, updated_player)
     end)
   end
@@ -431,23 +1299,33 @@ defmodule CutthroatAnagrams.GameServer do
     |> Enum.map(fn {word, _index} -> word end)
   end
 
-  defp calculate_score(words) do
-    Enum.reduce(words, 0, fn word, acc ->
-      acc + length(word.letters)
-    end)
+  defp score_player(player, state) do
+    %{player | score: Scoring.breakdown(player, settings(state), state.language).total}
   end
 
-  defp calculate_final_scores(players) do
-    Enum.map(players, fn {_id, player} ->
+  # Team games rank teams, each listing its players' scores
+  defp calculate_final_scores(state) do
+    player_scores = calculate_player_scores(state)
+    if state.teams > 0, do: Teams.standings(player_scores), else: player_scores
+  end
+
+  defp calculate_player_scores(state) do
+    Enum.map(state.players, fn {_id, player} ->
+      breakdown = Scoring.breakdown(player, settings(state), state.language)
+      
       %{
         player_id: player.id,
         player_name: player.name,
-        words: player.words,
-        total_letters: calculate_score(player.words),
+        team: Map.get(player, :team),
+        words: breakdown.words,
+        score: breakdown.total,
+        steal_bonus: breakdown.steal_bonus,
+        stolen_penalty: breakdown.stolen_penalty,
+        total_letters: Enum.sum(Enum.map(player.words, &length(&1.letters))),
         word_count: length(player.words)
       }
     end)
-    |> Enum.sort_by(& &1.total_letters, :desc)
+    |> Enum.sort_by(& &1.score, :desc)
   end
 
   defp determine_winner(scores) when length(scores) > 0 do
@@ -455,7 +1333,7 @@ defmodule CutthroatAnagrams.GameServer do
     
     # Check for ties at the top
     winners = Enum.take_while([first | rest], fn score -> 
-      score.total_letters == first.total_letters 
+      score.score == first.score 
     end)
     
     if length(winners) == 1 do
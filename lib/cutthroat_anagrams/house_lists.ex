@@ -0,0 +1,59 @@
+defmodule CutthroatAnagrams.HouseLists do
+  @moduledoc """
+  Per-game house word lists, layered on top of the global `Dictionary`.
+
+  The host uploads two lists as text in the lobby, one word per line (or
+  separated by spaces or commas):
+
+    * `banned_words` - refused even when the dictionary has them, with
+      their own `:banned_word` rejection
+    * `allowed_words` - accepted even when it doesn't, for in-jokes and
+      product names
+
+  Words are stored folded for the game's language (see `Languages.fold/2`),
+  the same form the dictionary uses.
+  """
+
+  alias CutthroatAnagrams.Dictionary
+  alias CutthroatAnagrams.Languages
+
+  @max_words 500
+  @max_word_length 30
+
+  @doc """
+  Whether `text` is a usable list for a game in `language`: at most
+  #{@max_words} words, each spelled with the language's tiles.
+  """
+  def valid?(text, language) when is_binary(text) do
+    words = split(text)
+
+    length(words) <= @max_words and
+      Enum.all?(words, &(String.length(&1) <= @max_word_length and Languages.tiles(&1, language) != nil))
+  end
+
+  def valid?(_text, _language), do: false
+
+  @doc """
+  The distinct words in `text`, folded for `language`.
+  """
+  def parse(text, language) do
+    text
+    |> split()
+    |> Enum.map(&Languages.fold(&1, language))
+    |> Enum.uniq()
+    |> Enum.sort()
+  end
+
+  def banned?(state, word), do: word in state.banned_words
+
+  @doc """
+  Whether `word` (already folded) counts as a word in this game: on the
+  allowed list or in the dictionary. Banned words are checked separately
+  with `banned?/2` so they can be rejected for what they are.
+  """
+  def valid_word?(state, word) do
+    word in state.allowed_words or Dictionary.valid_word?(word, state.language)
+  end
+
+  defp split(text), do: String.split(text, ~r/[\s,;]+/u, trim: true)
+end
@@ -0,0 +1,105 @@
+defmodule CutthroatAnagrams.Languages do
+  @moduledoc """
+  The languages a game can be played in, picked when the game is created.
+
+  Each language has its own alphabet of tiles - which may include letters
+  such as Ñ or Ä and digraph tiles such as Spanish CH, LL and RR or Dutch
+  IJ - a standard tile set, Scrabble letter values, a word list in
+  `priv/static/data` and the language speech recognition listens for.
+  English uses the tile sets in `TileBags`.
+
+  Words are spelled in tiles by `tiles/2`: accents are dropped from any
+  letter that isn't a tile of its own (French É is played as E, Spanish Ñ
+  stays Ñ) and digraphs are read greedily, so Spanish "llorar" is
+  LL-O-R-A-R.
+
+  The data lives in `priv/languages.json`, which the client bundles too
+  (`assets/js/languages.js`), so both sides split words into the same tiles.
+  """
+
+  @languages_path Path.expand("../../priv/languages.json", __DIR__)
+  @external_resource @languages_path
+  @languages @languages_path |> File.read!() |> Jason.decode!()
+
+  @letter_sets Map.new(@languages, fn {code, language} -> {code, MapSet.new(language["alphabet"])} end)
+
+  @word_list_dir "priv/static/data"
+
+  def codes, do: Map.keys(@languages)
+
+  def alphabet(code), do: @languages[code]["alphabet"]
+
+  def vowels(code), do: @languages[code]["vowels"]
+
+  @doc """
+  The language's standard tile set, or nil for English, whose sets are
+  `TileBags` presets.
+  """
+  def tile_set(code), do: @languages[code]["tiles"]
+
+  @doc """
+  The language's Scrabble letter values, tile => points, for the
+  "scrabble" scoring mode.
+  """
+  def letter_values(code), do: @languages[code]["values"]
+
+  def word_list_path(code), do: Path.join(@word_list_dir, @languages[code]["word_list"])
+
+  @doc """
+  Whether games can be played in `code`: a known language whose word list
+  is installed.
+  """
+  def available?(code), do: Map.has_key?(@languages, code) and File.exists?(word_list_path(code))
+
+  @doc """
+  `word` upper-cased as it's spelled in `code`'s tiles, with accents
+  dropped from letters that aren't tiles of their own.
+  """
+  def normalize(word, code) do
+    letters = @letter_sets[code]
+
+    word
+    |> :unicode.characters_to_nfc_binary()
+    |> String.upcase()
+    |> String.graphemes()
+    |> Enum.map_join(fn letter ->
+      if MapSet.member?(letters, letter), do: letter, else: strip_accents(letter)
+    end)
+  end
+
+  @doc """
+  The lower-case form words are stored and looked up in: `normalize/2`
+  down-cased, so "Café" and "cafe" are the same French word.
+  """
+  def fold(word, code), do: word |> normalize(code) |> String.downcase()
+
+  @doc """
+  `word` split into `code`'s tiles, digraphs first, or nil if it has a
+  letter the language has no tile for.
+  """
+  def tiles(word, code) do
+    split_tiles(String.graphemes(normalize(word, code)), @letter_sets[code], [])
+  end
+
+  defp split_tiles([], _letters, acc), do: Enum.reverse(acc)
+
+  defp split_tiles([first, second | rest] = graphemes, letters, acc) do
+    if MapSet.member?(letters, first <> second) do
+      split_tiles(rest, letters, [first <> second | acc])
+    else
+      split_single(graphemes, letters, acc)
+    end
+  end
+
+  defp split_tiles(graphemes, letters, acc), do: split_single(graphemes, letters, acc)
+
+  defp split_single([letter | rest], letters, acc) do
+    if MapSet.member?(letters, letter), do: split_tiles(rest, letters, [letter | acc]), else: nil
+  end
+
+  defp strip_accents(letter) do
+    letter
+    |> :unicode.characters_to_nfd_binary()
+    |> String.replace(~r/\p{Mn}/u, "")
+  end
+end
@@ -0,0 +1,60 @@
+defmodule CutthroatAnagrams.Scoring do
+  @moduledoc """
+  Scoring modes the host can pick in the lobby.
+
+    * `"letters"` - a point per letter
+    * `"long_words"` - a point per letter beyond the first two, so one long
+      word beats two short ones
+    * `"scrabble"` - Scrabble letter values, from the game's language's
+      edition (see `Languages.letter_values/1`)
+
+  Whatever the mode, a `steal_bonus` setting above zero adds that many points
+  for each steal a player makes and takes the same off for each word stolen
+  from them.
+  """
+
+  alias CutthroatAnagrams.Languages
+
+  @modes ~w(letters long_words scrabble)
+
+  # Letters every word pays for in "long_words" mode
+  @long_word_base 2
+
+  def modes, do: @modes
+
+  @doc """
+  Points for one claimed word (anything with `letters`) under `mode`, in a
+  game played in `language`.
+  """
+  def word_points(word, mode, language \\ "en")
+
+  def word_points(%{letters: letters}, "letters", _language), do: length(letters)
+
+  def word_points(%{letters: letters}, "long_words", _language), do: max(length(letters) - @long_word_base, 0)
+
+  def word_points(%{letters: letters}, "scrabble", language) do
+    values = Languages.letter_values(language)
+
+    letters
+    |> Enum.map(&Map.get(values, &1, 0))
+    |> Enum.sum()
+  end
+
+  @doc """
+  A player's score under `settings` in a game played in `language`, broken
+  down: their words, each with its `points`, the bonus earned for steals and
+  the penalty for words lost.
+  """
+  def breakdown(player, %{scoring: mode, steal_bonus: bonus}, language \\ "en") do
+    words = Enum.map(player.words, &Map.put(&1, :points, word_points(&1, mode, language)))
+    steal_bonus = Map.get(player, :steals, 0) * bonus
+    stolen_penalty = Map.get(player, :times_stolen, 0) * bonus
+
+    %{
+      words: words,
+      steal_bonus: steal_bonus,
+      stolen_penalty: stolen_penalty,
+      total: Enum.sum(Enum.map(words, & &1.points)) + steal_bonus - stolen_penalty
+    }
+  end
+end
@@ -0,0 +1,139 @@
+defmodule CutthroatAnagrams.StealRules do
+  @moduledoc """
+  Rules a steal has to satisfy beyond using the right letters. The host
+  picks a rule set per game:
+
+    * `"classic"` - no simple extensions: adding a suffix or tacking
+      letters onto the end of the stolen word doesn't count
+    * `"strict"` - classic, and the new word mustn't share a root with any
+      word it steals, as found by stemming both against the dictionary, so
+      CAT -> CATTY and RUN -> RERUN are out too
+    * `"anything_goes"` - any new word will do
+
+  Whatever the rule set, a steal has to take at least one tile from the pool.
+
+  The rule data lives in `priv/steal_rules.json`, which is also bundled into
+  the client by `assets/js/steal_rules.js`, so the confirmation modal rejects
+  exactly the words the server would.
+  """
+
+  alias CutthroatAnagrams.Dictionary
+
+  @rules_path Path.expand("../../priv/steal_rules.json", __DIR__)
+  @external_resource @rules_path
+  @rules @rules_path |> File.read!() |> Jason.decode!()
+
+  @rule_sets @rules["rule_sets"]
+  @min_pool_tiles @rules["min_pool_tiles"]
+  @short_extension_max_tiles @rules["short_extension"]["max_new_tiles"]
+  @short_extension_suffixes @rules["short_extension"]["suffixes"]
+  @long_extension_suffixes @rules["long_extension"]["suffixes"]
+  @stemmer @rules["stemmer"]
+
+  def rule_sets, do: @rule_sets
+
+  @doc """
+  Check a steal that turns `stolen_words` into `new_word` by adding
+  `used_flipped_tiles` from the pool.
+
+  Options:
+
+    * `:rule_set` - `"classic"` (the default), `"strict"` or `"anything_goes"`
+    * `:is_word` - dictionary lookup for the strict stemmer, by default
+      `CutthroatAnagrams.Dictionary.valid_word?/1`
+
+  Returns `:ok`, `{:error, :must_add_letter}`,
+  `{:error, :invalid_transformation}` or `{:error, :same_root}`.
+  """
+  def check(new_word, stolen_words, used_flipped_tiles, opts \\ []) do
+    rule_set = Keyword.get(opts, :rule_set, "classic")
+    num_new_tiles = length(used_flipped_tiles)
+
+    cond do
+      num_new_tiles < @min_pool_tiles ->
+        {:error, :must_add_letter}
+
+      rule_set == "anything_goes" ->
+        :ok
+
+      Enum.any?(stolen_words, &simple_extension?(new_word, &1, num_new_tiles)) ->
+        {:error, :invalid_transformation}
+
+      rule_set == "strict" and shares_root?(new_word, stolen_words, Keyword.get(opts, :is_word, &Dictionary.valid_word?/1)) ->
+        {:error, :same_root}
+
+      true ->
+        :ok
+    end
+  end
+
+  @doc """
+  True if `new_word` is just `stolen_word` with a suffix or other tail added,
+  rather than a real rearrangement.
+  """
+  def simple_extension?(new_word, stolen_word, num_new_tiles) do
+    new_lower = String.downcase(new_word)
+    stolen_lower = String.downcase(stolen_word)
+
+    if num_new_tiles <= @short_extension_max_tiles do
+      # Adding 1-2 letters: reject known suffixes and any plain extension of the stolen word
+      Enum.any?(@short_extension_suffixes, &(new_lower == stolen_lower <> &1)) or
+        (String.starts_with?(new_lower, stolen_lower) and
+           String.length(new_lower) - String.length(stolen_lower) == num_new_tiles)
+    else
+      # With 3+ new letters, generally allow it unless it's an obvious suffix
+      String.starts_with?(new_lower, stolen_lower) and
+        Enum.any?(@long_extension_suffixes, &String.ends_with?(new_lower, &1))
+    end
+  end
+
+  @doc """
+  Every root of `word`: the word itself plus each dictionary word reached by
+  stripping up to a few prefixes and suffixes. A stripped suffix may have
+  taken an "e", turned a "y" into an "i" or doubled a final consonant, so
+  "rating" gives "rate", "parties" gives "party" and "catty" gives "cat".
+  """
+  def roots(word, is_word) do
+    word = String.downcase(word)
+
+    {roots, _frontier} =
+      Enum.reduce(1..@stemmer["max_affixes"], {MapSet.new([word]), [word]}, fn _depth, {roots, frontier} ->
+        found =
+          frontier
+          |> Enum.flat_map(&strip_affixes/1)
+          |> Enum.uniq()
+          |> Enum.filter(&(String.length(&1) >= @stemmer["min_stem_length"] and not MapSet.member?(roots, &1)))
+          |> Enum.filter(is_word)
+
+        {MapSet.union(roots, MapSet.new(found)), found}
+      end)
+
+    roots
+  end
+
+  defp shares_root?(new_word, stolen_words, is_word) do
+    new_roots = roots(new_word, is_word)
+    Enum.any?(stolen_words, &(not MapSet.disjoint?(new_roots, roots(&1, is_word))))
+  end
+
+  defp strip_affixes(word) do
+    without_prefixes =
+      for prefix <- @stemmer["prefixes"], String.starts_with?(word, prefix), do: String.replace_prefix(word, prefix, "")
+
+    without_suffixes =
+      for suffix <- @stemmer["suffixes"],
+          String.ends_with?(word, suffix) and String.length(word) > String.length(suffix),
+          candidate <- undo_spelling_changes(String.replace_suffix(word, suffix, "")),
+          do: candidate
+
+    without_prefixes ++ without_suffixes
+  end
+
+  defp undo_spelling_changes(base) do
+    letters = String.graphemes(base)
+
+    [base, base <> "e"] ++
+      if(List.last(letters) == "i", do: [String.slice(base, 0..-2//1) <> "y"], else: []) ++
+      if(match?([last, last | _], Enum.reverse(letters)), do: [String.slice(base, 0..-2//1)], else: [])
+  end
+end
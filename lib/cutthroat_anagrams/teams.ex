@@ -0,0 +1,95 @@
+defmodule CutthroatAnagrams.Teams do
+  @moduledoc """
+  Team play. With the `teams` setting above zero every player sits on a
+  team numbered from 1, and a team's score is its players' scores added up.
+
+  Taking a teammate's word (or your own) is governed by `teammate_steals`:
+
+    * `"rearrange"` - it's the team reworking its own words, so it counts
+      as neither a steal nor a word lost
+    * `"steal"` - it counts like any other steal
+  """
+
+  @teammate_steal_rules ~w(rearrange steal)
+
+  def teammate_steal_rules, do: @teammate_steal_rules
+
+  @doc """
+  Deals `players` (a map of id to player) round the teams in the order they
+  joined, setting each one's `team`. With `team_count` 0 everyone's `team`
+  is cleared.
+  """
+  def deal(players, 0), do: Map.new(players, fn {id, player} -> {id, Map.put(player, :team, nil)} end)
+
+  def deal(players, team_count) do
+    players
+    |> Map.values()
+    |> Enum.sort_by(& &1.joined_at)
+    |> Enum.with_index()
+    |> Map.new(fn {player, index} -> {player.id, Map.put(player, :team, rem(index, team_count) + 1)} end)
+  end
+
+  @doc """
+  The team a newcomer should join: whichever has fewest players, lowest
+  number first. nil when there are no teams.
+  """
+  def smallest_team(_players, 0), do: nil
+
+  def smallest_team(players, team_count) do
+    sizes = Enum.frequencies(for {_id, player} <- players, do: Map.get(player, :team))
+    Enum.min_by(1..team_count, &Map.get(sizes, &1, 0))
+  end
+
+  @doc """
+  Whether two players are on the same team. Always false without teams.
+  """
+  def teammates?(players, a, b) do
+    team = team_of(players, a)
+    team != nil and team == team_of(players, b)
+  end
+
+  @doc """
+  Whether taking words from `victim_id` counts as a steal for `thief_id`.
+  """
+  def counts_as_steal?(state, thief_id, victim_id) do
+    state.teammate_steals == "steal" or not teammates?(state.players, thief_id, victim_id)
+  end
+
+  @doc """
+  Whether every team from 1 to `team_count` has someone on it.
+  """
+  def all_filled?(_players, 0), do: true
+
+  def all_filled?(players, team_count) do
+    filled = MapSet.new(for {_id, player} <- players, do: Map.get(player, :team))
+    Enum.all?(1..team_count, &MapSet.member?(filled, &1))
+  end
+
+  @doc """
+  Groups per-player scores (each with a `team`) into team standings, best
+  first. Each standing adds up its players' `score`, `steal_bonus`,
+  `stolen_penalty`, `total_letters` and `word_count`, and lists the players
+  themselves under `players`.
+  """
+  def standings(player_scores) do
+    player_scores
+    |> Enum.group_by(& &1.team)
+    |> Enum.map(fn {team, scores} ->
+      %{
+        team: team,
+        players: scores,
+        words: Enum.flat_map(scores, & &1.words),
+        score: sum(scores, :score),
+        steal_bonus: sum(scores, :steal_bonus),
+        stolen_penalty: sum(scores, :stolen_penalty),
+        total_letters: sum(scores, :total_letters),
+        word_count: sum(scores, :word_count)
+      }
+    end)
+    |> Enum.sort_by(&{-&1.score, &1.team})
+  end
+
+  defp team_of(players, player_id), do: players |> Map.get(player_id, %{}) |> Map.get(:team)
+
+  defp sum(scores, key), do: scores |> Enum.map(&Map.fetch!(&1, key)) |> Enum.sum()
+end
@@ -0,0 +1,130 @@
+defmodule CutthroatAnagrams.TileBags do
+  @moduledoc """
+  Letter distributions a game's tile bag can be filled from.
+
+  The host picks a preset in the lobby or uploads their own letter counts
+  as `"custom"`. Custom bags are checked with `validate/2` before use.
+
+  Games in other languages play with that language's standard set from
+  `CutthroatAnagrams.Languages` as `"scrabble"`, or two of them as
+  `"double"`; the other presets are English only.
+  """
+
+  alias CutthroatAnagrams.Languages
+
+  @scrabble %{
+    "A" => 9, "B" => 2, "C" => 2, "D" => 4, "E" => 12, "F" => 2, "G" => 3, "H" => 2,
+    "I" => 9, "J" => 1, "K" => 1, "L" => 4, "M" => 2, "N" => 6, "O" => 8, "P" => 2,
+    "Q" => 1, "R" => 6, "S" => 4, "T" => 6, "U" => 4, "V" => 2, "W" => 2, "X" => 1,
+    "Y" => 2, "Z" => 1
+  }
+
+  @presets %{
+    "scrabble" => @scrabble,
+    "bananagrams" => %{
+      "A" => 13, "B" => 3, "C" => 3, "D" => 6, "E" => 18, "F" => 3, "G" => 4, "H" => 3,
+      "I" => 12, "J" => 2, "K" => 2, "L" => 5, "M" => 3, "N" => 8, "O" => 11, "P" => 3,
+      "Q" => 2, "R" => 9, "S" => 6, "T" => 9, "U" => 6, "V" => 3, "W" => 3, "X" => 2,
+      "Y" => 3, "Z" => 2
+    },
+    # Two Scrabble sets, for 6+ players
+    "double" => Map.new(@scrabble, fn {letter, count} -> {letter, count * 2} end),
+    # Roughly half a Scrabble set without the awkward letters
+    "short" => %{
+      "A" => 4, "B" => 1, "C" => 1, "D" => 2, "E" => 6, "F" => 1, "G" => 1, "H" => 1,
+      "I" => 4, "K" => 1, "L" => 2, "M" => 1, "N" => 3, "O" => 4, "P" => 1, "R" => 3,
+      "S" => 2, "T" => 3, "U" => 2, "V" => 1, "W" => 1, "Y" => 1
+    }
+  }
+
+  @min_tiles 20
+  @max_tiles 400
+  @max_per_letter 50
+
+  def presets, do: Map.keys(@presets)
+
+  @doc """
+  The letter counts for `tile_set` in `language`: a preset name, or
+  `"custom"` to use `custom_tiles` once it passes `validate/2`.
+  """
+  def distribution(tile_set, custom_tiles, language \\ "en")
+
+  def distribution("custom", custom_tiles, language) do
+    with :ok <- validate(custom_tiles, language) do
+      {:ok, normalize(custom_tiles)}
+    end
+  end
+
+  def distribution(tile_set, _custom_tiles, "en") do
+    case Map.fetch(@presets, tile_set) do
+      {:ok, distribution} -> {:ok, distribution}
+      :error -> {:error, :invalid_setting}
+    end
+  end
+
+  def distribution("scrabble", _custom_tiles, language), do: {:ok, Languages.tile_set(language)}
+
+  def distribution("double", _custom_tiles, language) do
+    {:ok, Map.new(Languages.tile_set(language), fn {letter, count} -> {letter, count * 2} end)}
+  end
+
+  def distribution(_tile_set, _custom_tiles, _language), do: {:error, :invalid_setting}
+
+  @doc """
+  The presets games in `language` can use.
+  """
+  def presets(language), do: if(language == "en", do: presets(), else: ~w(scrabble double))
+
+  @doc """
+  Check a custom distribution: tiles of `language`'s alphabet mapped to
+  whole counts, at least one vowel, and between #{@min_tiles} and
+  #{@max_tiles} tiles in all.
+  """
+  def validate(distribution, language \\ "en")
+
+  def validate(distribution, language) when is_map(distribution) and map_size(distribution) > 0 do
+    distribution = normalize(distribution)
+    alphabet = Languages.alphabet(language)
+
+    cond do
+      not Enum.all?(distribution, &valid_entry?(&1, alphabet)) ->
+        {:error, :invalid_tile_bag}
+
+      not Enum.any?(Languages.vowels(language), &(Map.get(distribution, &1, 0) > 0)) ->
+        {:error, :tile_bag_needs_vowel}
+
+      tile_count(distribution) < @min_tiles ->
+        {:error, :tile_bag_too_small}
+
+      tile_count(distribution) > @max_tiles ->
+        {:error, :tile_bag_too_large}
+
+      true ->
+        :ok
+    end
+  end
+
+  def validate(_distribution, _language), do: {:error, :invalid_tile_bag}
+
+  @doc """
+  A shuffled bag of tiles with the letter counts in `distribution`.
+  """
+  def fill(distribution) do
+    distribution
+    |> Enum.flat_map(fn {letter, count} -> List.duplicate(letter, count) end)
+    |> Enum.shuffle()
+  end
+
+  # Uploaded letters may come in lower case or decomposed
+  defp normalize(distribution) do
+    Map.new(distribution, fn {letter, count} ->
+      {letter |> to_string() |> :unicode.characters_to_nfc_binary() |> String.upcase(), count}
+    end)
+  end
+
+  defp tile_count(distribution), do: distribution |> Map.values() |> Enum.sum()
+
+  defp valid_entry?({letter, count}, alphabet) do
+    letter in alphabet and is_integer(count) and count in 0..@max_per_letter
+  end
+end
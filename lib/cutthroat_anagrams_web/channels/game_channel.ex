@@ -4,8 +4,33 @@ defmodule CutthroatAnagramsWeb.GameChannel do
 
   alias CutthroatAnagrams.GameSupervisor
   alias CutthroatAnagrams.GameServer
+  alias CutthroatAnagrams.Languages
+  alias CutthroatAnagrams.Scoring
 
   @impl true
+  def join("game:" <> game_id, %{"watch" => true}, socket) do
+    Logger.info("Spectator attempting to watch game: #{game_id}")
+    
+    case GameSupervisor.find_game(game_id) do
+      {:ok, game_pid} ->
+        spectator_id = generate_player_id()
+        {:ok, game_state} = GameServer.add_spectator(game_pid, spectator_id)
+        subscribe_to_game(game_id)
+        
+        socket = assign(socket, :game_id, game_id)
+                |> assign(:spectator_id, spectator_id)
+                |> assign(:spectator, true)
+                |> assign(:game_pid, game_pid)
+        
+        send(self(), {:spectators_changed, game_state})
+        
+        {:ok, %{spectator: true, game_state: serialize_game_state(game_state)}, socket}
+      
+      {:error, :game_not_found} ->
+        {:error, %{reason: "Game not found"}}
+    end
+  end
+
   def join("game:" <> game_id, %{"player_name" => player_name} = params, socket) do
     Logger.info("Player #{player_name} attempting to join game: #{game_id}")
     Logger.debug("Join parameters: #{inspect(params)}")
@@ -22,6 +47,8 @@ defmodule CutthroatAnagramsWeb.GameChannel do
           # Attempt reconnection
           case GameServer.reconnect_player(game_pid, existing_player_id) do
             {:ok, game_state, stored_token} when stored_token == reconnect_token ->
+              subscribe_to_game(game_id)
+              
               socket = assign(socket, :game_id, game_id)
                       |> assign(:player_id, existing_player_id)
                       |> assign(:player_name, player_name)
@@ -44,20 +71,30 @@ defmodule CutthroatAnagramsWeb.GameChannel do
       {:error, :game_not_found} ->
         # Get game options from params (for new games)
         game_options = %{
-          min_word_length: Map.get(params, "min_word_length", 4)
+          min_word_length: Map.get(params, "min_word_length", 4),
+          language: Map.get(params, "language", "en")
         }
         
-        case GameSupervisor.start_game(game_id, game_options) do
-          {:ok, game_pid} ->
-            attempt_new_player_join(game_pid, player_name, socket, game_id)
-          
-          {:error, reason} ->
-            {:error, %{reason: "Failed to create game: #{inspect(reason)}"}}
+        if Languages.available?(game_options.language) do
+          case GameSupervisor.start_game(game_id, game_options) do
+            {:ok, game_pid} ->
+              attempt_new_player_join(game_pid, player_name, socket, game_id)
+            
+            {:error, reason} ->
+              {:error, %{reason: "Failed to create game: #{inspect(reason)}"}}
+          end
+        else
+          {:error, %{reason: "Language not available: #{game_options.language}"}}
         end
     end
   end
 
+  # Spectators only watch - every player action is refused
   @impl true
+  def handle_in(_event, _payload, %{assigns: %{spectator: true}} = socket) do
+    {:reply, {:error, %{reason: :spectating}}, socket}
+  end
+
   def handle_in("flip_tile", _payload, socket) do
     game_pid = socket.assigns.game_pid
     player_id = socket.assigns.player_id
@@ -76,72 +113,20 @@ defmodule CutthroatAnagramsWeb.GameChannel do
     end
   end
 
+  # Same as confirm_claim: it goes through the arbitration window like any
+  # other claim
   @impl true
-  def handle_in("claim_word", %{"word" => word}, socket) do
-    game_pid = socket.assigns.game_pid
-    player_id = socket.assigns.player_id
-    timestamp = System.system_time(:millisecond)
-    
-    case GameServer.claim_word(game_pid, player_id, word, timestamp) do
-      {:ok, game_state} ->
-        broadcast!(socket, "word_claimed", %{
-          player_id: player_id,
-          player_name: socket.assigns.player_name,
-          word: word,
-          timestamp: timestamp,
-          game_state: serialize_game_state(game_state)
-        })
-        {:noreply, socket}
-      
-      {:error, reason} ->
-        {:reply, {:error, %{reason: reason}}, socket}
-    end
+  def handle_in("claim_word", %{"word" => word} = payload, socket) do
+    submit_claim(socket, %{word: word, timestamp: payload["timestamp"]})
   end
 
   @impl true
-  def handle_in("steal_word", %{"word" => word, "from_players" => from_players}, socket) do
-    game_pid = socket.assigns.game_pid
-    player_id = socket.assigns.player_id
-    timestamp = System.system_time(:millisecond)
-    
-    case GameServer.steal_word(game_pid, player_id, word, from_players, timestamp) do
-      {:ok, game_state} ->
-        broadcast!(socket, "word_stolen", %{
-          player_id: player_id,
-          player_name: socket.assigns.player_name,
-          word: word,
-          from_players: from_players,
-          timestamp: timestamp,
-          game_state: serialize_game_state(game_state)
-        })
-        {:noreply, socket}
-      
-      {:error, reason} ->
-        {:reply, {:error, %{reason: reason}}, socket}
-    end
+  def handle_in("steal_word", %{"word" => word, "from_players" => from_players} = payload, socket) do
+    submit_claim(socket, %{word: word, from_players: from_players, timestamp: payload["timestamp"]})
   end
 
   @impl true
-  def handle_in("voice_claim", %{"word" => word, "confidence" => confidence}, socket) do
-    timestamp = System.system_time(:millisecond)
-    
-    # Broadcast the voice claim to all players for conflict detection
-    broadcast!(socket, "voice_claim_detected", %{
-      player_id: socket.assigns.player_id,
-      player_name: socket.assigns.player_name,
-      word: word,
-      confidence: confidence,
-      timestamp: timestamp
-    })
-    
-    # Start a timer for claim confirmation
-    Process.send_after(self(), {:confirm_claim_timeout, word, timestamp}, 5000)
-    
-    {:noreply, socket}
-  end
-
-  @impl true
-  def handle_in("word_being_confirmed", %{"word" => word, "timestamp" => timestamp, "player_name" => player_name}, socket) do
+  def handle_in("word_being_confirmed", %{"word" => word, "timestamp" => timestamp, "player_name" => player_name} = payload, socket) do
     # Broadcast that a word is being confirmed (pause notification)
     broadcast_from!(socket, "word_being_confirmed", %{
       word: word,
@@ -149,38 +134,27 @@ defmodule CutthroatAnagramsWeb.GameChannel do
       player_name: player_name
     })
     
+    # Give them time to finish confirming before the next flip - once, not
+    # again for every edit they make to the word
+    unless payload["real_time"] || payload["updated"] do
+      {:ok, game_state} = GameServer.hold_auto_flip(socket.assigns.game_pid, socket.assigns.player_id)
+      broadcast!(socket, "flip_timer", %{
+        auto_flip_remaining_ms: GameServer.auto_flip_remaining_ms(game_state)
+      })
+    end
+    
     {:noreply, socket}
   end
 
   @impl true
   def handle_in("confirm_claim", %{"word" => word, "timestamp" => claim_timestamp}, socket) do
-    game_pid = socket.assigns.game_pid
-    player_id = socket.assigns.player_id
-    
-    case GameServer.claim_word(game_pid, player_id, word, claim_timestamp) do
-      {:ok, game_state} ->
-        broadcast!(socket, "claim_confirmed", %{
-          player_id: player_id,
-          player_name: socket.assigns.player_name,
-          word: word,
-          timestamp: claim_timestamp,
-          game_state: serialize_game_state(game_state)
-        })
-        {:noreply, socket}
-      
-      {:error, reason} ->
-        broadcast!(socket, "claim_rejected", %{
-          player_id: player_id,
-          player_name: socket.assigns.player_name,
-          word: word,
-          reason: reason
-        })
-        {:noreply, socket}
-    end
+    submit_claim(socket, %{word: word, timestamp: claim_timestamp})
   end
 
   @impl true
   def handle_in("cancel_claim", %{"word" => word, "timestamp" => timestamp}, socket) do
+    {:ok, _game_state} = GameServer.release_auto_flip(socket.assigns.game_pid, socket.assigns.player_id)
+    
     broadcast!(socket, "claim_cancelled", %{
       player_id: socket.assigns.player_id,
       player_name: socket.assigns.player_name,
@@ -191,44 +165,46 @@ defmodule CutthroatAnagramsWeb.GameChannel do
   end
 
   @impl true
-  def handle_in("resolve_tie", %{"claims" => claims}, socket) do
-    # Handle coin flip for simultaneous claims
-    winner = Enum.random(claims)
-    
-    broadcast!(socket, "tie_resolved", %{
-      claims: claims,
-      winner: winner,
-      resolution_method: "coin_flip"
-    })
-    
-    # Process the winning claim
-    if winner["player_id"] == socket.assigns.player_id do
-      game_pid = socket.assigns.game_pid
+  # Lobby: the host tweaks settings and everyone sees them change
+  def handle_in("update_settings", %{"settings" => changes}, socket) do
+    case GameServer.update_settings(socket.assigns.game_pid, socket.assigns.player_id, parse_settings(changes)) do
+      {:ok, game_state} ->
+        broadcast!(socket, "settings_updated", %{
+          game_state: serialize_game_state(game_state)
+        })
+        {:reply, :ok, socket}
       
-      case GameServer.claim_word(game_pid, winner["player_id"], winner["word"], winner["timestamp"]) do
-        {:ok, game_state} ->
-          broadcast!(socket, "word_claimed", %{
-            player_id: winner["player_id"],
-            player_name: winner["player_name"],
-            word: winner["word"],
-            timestamp: winner["timestamp"],
-            game_state: serialize_game_state(game_state),
-            won_coinflip: true
-          })
-        
-        {:error, reason} ->
-          broadcast!(socket, "claim_rejected", %{
-            player_id: winner["player_id"],
-            word: winner["word"],
-            reason: reason
-          })
-      end
+      {:error, reason} ->
+        {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  def handle_in("start_game", _payload, socket) do
+    case GameServer.start_game(socket.assigns.game_pid, socket.assigns.player_id) do
+      {:ok, game_state} ->
+        broadcast!(socket, "game_started", %{
+          game_state: serialize_game_state(game_state)
+        })
+        {:noreply, socket}
+      
+      {:error, reason} ->
+        {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  def handle_in("assign_team", %{"player_id" => target_id, "team" => team}, socket) do
+    case GameServer.assign_team(socket.assigns.game_pid, socket.assigns.player_id, target_id, team) do
+      {:ok, game_state} ->
+        broadcast!(socket, "settings_updated", %{
+          game_state: serialize_game_state(game_state)
+        })
+        {:reply, :ok, socket}
+      
+      {:error, reason} ->
+        {:reply, {:error, %{reason: reason}}, socket}
     end
-    
-    {:noreply, socket}
   end
 
-  @impl true
   def handle_in("vote_to_end", _payload, socket) do
     game_pid = socket.assigns.game_pid
     player_id = socket.assigns.player_id
@@ -243,13 +219,59 @@ defmodule CutthroatAnagramsWeb.GameChannel do
         {:noreply, socket}
       
       {:ok, final_state, :game_ended} ->
-        broadcast!(socket, "game_ended", %{
-          final_scores: final_state.final_scores,
-          winner: final_state.winner,
-          game_duration: final_state.ended_at - final_state.game_started_at
+        broadcast!(socket, "game_ended", game_ended_payload(final_state))
+        {:noreply, socket}
+      
+      {:error, reason} ->
+        {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  def handle_in("undo_claim", _payload, socket) do
+    case GameServer.undo_claim(socket.assigns.game_pid, socket.assigns.player_id) do
+      {:ok, game_state, word} ->
+        broadcast!(socket, "claim_withdrawn", %{
+          player_id: socket.assigns.player_id,
+          player_name: socket.assigns.player_name,
+          word: word,
+          game_state: serialize_game_state(game_state)
+        })
+        {:noreply, socket}
+      
+      {:error, reason} ->
+        {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  def handle_in("challenge_word", %{"word_id" => word_id}, socket) do
+    case GameServer.challenge_word(socket.assigns.game_pid, socket.assigns.player_id, word_id) do
+      {:ok, game_state, result} ->
+        broadcast!(socket, "challenge_started", %{
+          player_id: socket.assigns.player_id,
+          player_name: socket.assigns.player_name,
+          game_state: serialize_game_state(game_state)
+        })
+        broadcast_challenge_result(socket, result, game_state)
+        {:noreply, socket}
+      
+      {:error, reason} ->
+        {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  def handle_in("vote_on_challenge", %{"revoke" => revoke}, socket) do
+    case GameServer.vote_on_challenge(socket.assigns.game_pid, socket.assigns.player_id, revoke) do
+      {:ok, game_state, nil} ->
+        broadcast!(socket, "challenge_vote_cast", %{
+          player_id: socket.assigns.player_id,
+          game_state: serialize_game_state(game_state)
         })
         {:noreply, socket}
       
+      {:ok, game_state, result} ->
+        broadcast_challenge_result(socket, result, game_state)
+        {:noreply, socket}
+      
       {:error, reason} ->
         {:reply, {:error, %{reason: reason}}, socket}
     end
@@ -261,11 +283,7 @@ defmodule CutthroatAnagramsWeb.GameChannel do
     
     case GameServer.end_game(game_pid) do
       {:ok, final_state} ->
-        broadcast!(socket, "game_ended", %{
-          final_scores: final_state.final_scores,
-          winner: final_state.winner,
-          game_duration: final_state.ended_at - final_state.game_started_at
-        })
+        broadcast!(socket, "game_ended", game_ended_payload(final_state))
         {:noreply, socket}
       
       {:error, reason} ->
@@ -274,12 +292,51 @@ defmodule CutthroatAnagramsWeb.GameChannel do
   end
 
   @impl true
-  def handle_info({:confirm_claim_timeout, word, timestamp}, socket) do
-    # If no confirmation received within timeout, cancel the claim
-    broadcast!(socket, "claim_timeout", %{
-      player_id: socket.assigns.player_id,
-      word: word,
-      timestamp: timestamp
+  def handle_info({:claims_resolved, results, game_state}, socket) do
+    # Every channel process gets this from the game server, so push to our
+    # own client rather than broadcasting
+    serialized_state = serialize_game_state(game_state)
+    
+    results
+    |> Enum.filter(& &1.coin_flip)
+    |> Enum.uniq_by(& &1.coin_flip)
+    |> Enum.each(fn result ->
+      winner = Enum.find(results, &(&1.coin_flip == result.coin_flip and &1.result == :ok))
+      
+      push(socket, "tie_resolved", %{
+        claims: result.coin_flip,
+        winner: winner && Map.take(winner, [:player_id, :player_name, :word]),
+        resolution_method: "coin_flip"
+      })
+    end)
+    
+    Enum.each(results, fn result -> push_claim_result(socket, result, serialized_state) end)
+    
+    {:noreply, socket}
+  end
+
+  # Nobody settled a challenge before its vote ran out
+  @impl true
+  def handle_info({:challenge_resolved, result, game_state}, socket) do
+    push(socket, "challenge_resolved", challenge_result_payload(result, game_state))
+    {:noreply, socket}
+  end
+
+  # A blitz game's clock ran out
+  @impl true
+  def handle_info({:game_ended, final_state}, socket) do
+    push(socket, "game_ended", game_ended_payload(final_state))
+    {:noreply, socket}
+  end
+
+  # The server flipped a tile because the countdown ran out
+  @impl true
+  def handle_info({:tile_flipped, tile, game_state}, socket) do
+    push(socket, "tile_flipped", %{
+      tile: tile,
+      player_id: nil,
+      auto: true,
+      game_state: serialize_game_state(game_state)
     })
     {:noreply, socket}
   end
@@ -296,6 +353,16 @@ defmodule CutthroatAnagramsWeb.GameChannel do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_info({:spectators_changed, game_state}, socket) do
+    broadcast!(socket, "spectators_changed", %{
+      spectator_count: MapSet.size(game_state.spectators),
+      game_state: serialize_game_state(game_state)
+    })
+    
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_info({:after_reconnect, player_id, player_name, game_state}, socket) do
     # Broadcast player reconnected
@@ -309,6 +376,21 @@ defmodule CutthroatAnagramsWeb.GameChannel do
   end
 
   @impl true
+  def terminate(_reason, %{assigns: %{spectator: true}} = socket) do
+    Logger.info("Spectator #{socket.assigns.spectator_id} left game #{socket.assigns.game_id}")
+    
+    {:ok, game_state} = GameServer.remove_spectator(socket.assigns.game_pid, socket.assigns.spectator_id)
+    
+    if socket.joined do
+      broadcast_from!(socket, "spectators_changed", %{
+        spectator_count: MapSet.size(game_state.spectators),
+        game_state: serialize_game_state(game_state)
+      })
+    end
+    
+    :ok
+  end
+
   def terminate(_reason, socket) do
     Logger.info("Player #{socket.assigns[:player_name]} left game #{socket.assigns[:game_id]}")
     
@@ -330,6 +412,74 @@ defmodule CutthroatAnagramsWeb.GameChannel do
 
   # Helper functions
 
+  defp subscribe_to_game(game_id) do
+    Phoenix.PubSub.subscribe(CutthroatAnagrams.PubSub, GameServer.topic(game_id))
+  end
+
+  # Claims and steals go through the game server's arbitration window; the
+  # outcome comes back as {:claims_resolved, ...}
+  defp submit_claim(socket, claim) do
+    # Whatever happens to the claim, the claimer is done confirming
+    {:ok, _game_state} = GameServer.release_auto_flip(socket.assigns.game_pid, socket.assigns.player_id)
+    
+    case GameServer.submit_claim(socket.assigns.game_pid, socket.assigns.player_id, claim) do
+      {:ok, :pending} ->
+        {:reply, :ok, socket}
+      
+      {:error, reason} ->
+        broadcast!(socket, "claim_rejected", %{
+          player_id: socket.assigns.player_id,
+          player_name: socket.assigns.player_name,
+          word: claim.word,
+          reason: reason
+        })
+        {:noreply, socket}
+    end
+  end
+
+  defp broadcast_challenge_result(_socket, nil, _game_state), do: :ok
+
+  defp broadcast_challenge_result(socket, result, game_state) do
+    broadcast!(socket, "challenge_resolved", challenge_result_payload(result, game_state))
+  end
+
+  defp challenge_result_payload(result, game_state) do
+    Map.put(result, :game_state, serialize_game_state(game_state))
+  end
+
+  defp push_claim_result(socket, %{result: :ok, from_players: nil} = result, game_state) do
+    push(socket, "claim_confirmed", %{
+      player_id: result.player_id,
+      player_name: result.player_name,
+      word: result.word,
+      timestamp: result.timestamp,
+      won_coinflip: result.coin_flip != nil,
+      game_state: game_state
+    })
+  end
+
+  defp push_claim_result(socket, %{result: :ok} = result, game_state) do
+    push(socket, "word_stolen", %{
+      player_id: result.player_id,
+      player_name: result.player_name,
+      word: result.word,
+      from_players: result.from_players,
+      timestamp: result.timestamp,
+      won_coinflip: result.coin_flip != nil,
+      game_state: game_state
+    })
+  end
+
+  defp push_claim_result(socket, %{result: {:error, reason}} = result, _game_state) do
+    push(socket, "claim_rejected", %{
+      player_id: result.player_id,
+      player_name: result.player_name,
+      word: result.word,
+      reason: reason,
+      lost_coinflip: result.coin_flip != nil
+    })
+  end
+
   defp generate_player_id do
     :crypto.strong_rand_bytes(16) |> Base.url_encode64(padding: false)
   end
@@ -337,22 +487,68 @@ defmodule CutthroatAnagramsWeb.GameChannel do
   defp serialize_game_state(game_state) do
     %{
       status: game_state.status,
-      players: serialize_players(game_state.players),
+      players: serialize_players(game_state),
       flipped_tiles: game_state.flipped_tiles,
       tiles_remaining: length(game_state.tile_bag),
+      tile_distribution: game_state.tile_distribution,
       current_turn: game_state.current_turn,
+      host_id: game_state.host_id,
+      language: game_state.language,
+      settings: GameServer.settings(game_state),
       min_word_length: game_state.min_word_length,
-      end_votes: Map.get(game_state, :end_votes, [])
+      end_votes: Map.get(game_state, :end_votes, []),
+      end_votes_needed: GameServer.end_votes_needed(game_state),
+      spectator_count: MapSet.size(game_state.spectators),
+      auto_flip_remaining_ms: GameServer.auto_flip_remaining_ms(game_state),
+      game_clock_remaining_ms: GameServer.game_clock_remaining_ms(game_state),
+      challenge: serialize_challenge(game_state),
+      undoable: game_state.undoable
+    }
+  end
+
+  defp serialize_challenge(%{challenge: nil}), do: nil
+
+  defp serialize_challenge(%{challenge: challenge} = game_state) do
+    challenge
+    |> Map.take([:word_id, :word, :owner_id, :challenger_id, :voters, :votes])
+    |> Map.put(:remaining_ms, GameServer.challenge_remaining_ms(game_state))
+  end
+
+  # How much of the bag was left matters most when a blitz clock ran out
+  defp game_ended_payload(final_state) do
+    %{
+      final_scores: final_state.final_scores,
+      winner: final_state.winner,
+      game_duration: final_state.ended_at - final_state.game_started_at,
+      ended_by: final_state.ended_by,
+      tiles_remaining: length(final_state.tile_bag),
+      tiles_total: final_state.tile_distribution |> Map.values() |> Enum.sum()
     }
   end
 
-  defp serialize_players(players) do
-    Enum.map(players, fn {_id, player} ->
+  # Setting names arrive as strings; unknown ones are left as strings for
+  # the game server to refuse
+  defp parse_settings(changes) do
+    Map.new(changes, fn {key, value} ->
+      {Enum.find(GameServer.setting_keys(), key, &(Atom.to_string(&1) == key)), value}
+    end)
+  end
+
+  # Each word carries the points it's worth under the game's scoring mode
+  defp serialize_players(game_state) do
+    settings = GameServer.settings(game_state)
+    
+    Enum.map(game_state.players, fn {_id, player} ->
+      breakdown = Scoring.breakdown(player, settings, game_state.language)
+      
       %{
         id: player.id,
         name: player.name,
-        words: player.words,
+        words: breakdown.words,
         score: player.score,
+        steal_bonus: breakdown.steal_bonus,
+        stolen_penalty: breakdown.stolen_penalty,
+        team: Map.get(player, :team),
         connected: player.connected
       }
     end)
@@ -363,6 +559,8 @@ defmodule CutthroatAnagramsWeb.GameChannel do
     
     case GameServer.join_player(game_pid, player_id, player_name) do
       {:ok, game_state, reconnect_token} ->
+        subscribe_to_game(game_id)
+        
         socket = assign(socket, :game_id, game_id)
                 |> assign(:player_id, player_id)
                 |> assign(:player_name, player_name)
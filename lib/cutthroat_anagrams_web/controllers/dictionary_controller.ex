@@ -0,0 +1,50 @@
+defmodule CutthroatAnagramsWeb.DictionaryController do
+  use CutthroatAnagramsWeb, :controller
+
+  alias CutthroatAnagrams.Dictionary
+
+  @doc """
+  Serves the front-coded word list from `Dictionary.export/1` so clients can
+  validate words offline. Clients cache it and revalidate with the ETag.
+  The `lang` param picks the language, English by default.
+  """
+  def show(conn, params) do
+    case Dictionary.export(Map.get(params, "lang", "en")) do
+      {:ok, export} -> send_export(conn, export)
+      {:error, _reason} -> send_resp(conn, 404, "")
+    end
+  end
+
+  defp send_export(conn, %{version: version, body: body}) do
+    etag = ~s("#{version}")
+
+    conn =
+      conn
+      |> put_resp_header("etag", etag)
+      |> put_resp_header("cache-control", "public, max-age=86400")
+
+    cond do
+      etag in get_req_header(conn, "if-none-match") ->
+        send_resp(conn, 304, "")
+
+      accepts_gzip?(conn) ->
+        conn
+        |> put_resp_content_type("text/plain")
+        |> put_resp_header("content-encoding", "gzip")
+        |> put_resp_header("vary", "accept-encoding")
+        |> send_resp(200, body)
+
+      true ->
+        conn
+        |> put_resp_content_type("text/plain")
+        |> put_resp_header("vary", "accept-encoding")
+        |> send_resp(200, :zlib.gunzip(body))
+    end
+  end
+
+  defp accepts_gzip?(conn) do
+    conn
+    |> get_req_header("accept-encoding")
+    |> Enum.any?(&String.contains?(&1, "gzip"))
+  end
+end
@@ -20,6 +20,11 @@ defmodule CutthroatAnagramsWeb.Router do
     get "/", PageController, :home
   end
 
+  # Word list for offline validation on the client
+  scope "/", CutthroatAnagramsWeb do
+    get "/dictionary", DictionaryController, :show
+  end
+
   # Other scopes may use custom stacks.
   # scope "/api", CutthroatAnagramsWeb do
   #   pipe_through :api
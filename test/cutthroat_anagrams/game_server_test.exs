@@ -40,14 +40,160 @@ defmodule CutthroatAnagrams.GameServerTest do
       {:error, :already_joined} = GameServer.join_player(pid, "player1", "Bob")
     end
 
-    test "auto-starts game when 2+ players join", %{game_pid: pid} do
+    test "waits in the lobby until the host starts the game", %{game_pid: pid} do
       {:ok, state1, _} = GameServer.join_player(pid, "player1", "Alice")
-      assert state1.status == :waiting
+      assert state1.status == :lobby
+      assert state1.host_id == "player1"
       
       {:ok, state2, _} = GameServer.join_player(pid, "player2", "Bob")
-      assert state2.status == :playing
-      # The current_turn is set to the second player who joined (the one that triggered game start)
-      assert state2.current_turn == "player2"
+      assert state2.status == :lobby
+      
+      {:ok, state3} = GameServer.start_game(pid, "player1")
+      assert state3.status == :playing
+      # The host flips first
+      assert state3.current_turn == "player1"
+    end
+  end
+
+  describe "lobby" do
+    setup %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      :ok
+    end
+
+    test "only the host can start, and not alone", %{game_pid: pid} do
+      {:error, :not_enough_players} = GameServer.start_game(pid, "player1")
+      
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:error, :not_host} = GameServer.start_game(pid, "player2")
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      {:error, :game_already_started} = GameServer.start_game(pid, "player1")
+    end
+
+    test "lets the host change settings", %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, state} = GameServer.update_settings(pid, "player1", %{auto_flip_ms: 20_000, end_vote_percent: 100})
+      
+      assert GameServer.settings(state).auto_flip_ms == 20_000
+      assert GameServer.settings(state).min_word_length == 3
+      assert GameServer.end_votes_needed(state) == 2
+    end
+
+    test "refuses settings from anyone else or out of range", %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      
+      {:error, :not_host} = GameServer.update_settings(pid, "player2", %{max_players: 4})
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{max_players: 1})
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{tile_set: "lots"})
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{steal_rules: "lenient"})
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{"colour" => "red"})
+    end
+
+    test "refills the bag for a different tile set", %{game_pid: pid} do
+      {:ok, state} = GameServer.update_settings(pid, "player1", %{tile_set: "double"})
+      assert length(state.tile_bag) == 196
+      assert state.tile_distribution["E"] == 24
+    end
+
+    test "fills the bag from custom letter counts", %{game_pid: pid} do
+      custom = %{"a" => 10, "t" => 10, "s" => 10}
+      {:ok, state} = GameServer.update_settings(pid, "player1", %{tile_set: "custom", custom_tiles: custom})
+      
+      assert state.tile_distribution == %{"A" => 10, "T" => 10, "S" => 10}
+      assert Enum.sort(Enum.uniq(state.tile_bag)) == ["A", "S", "T"]
+    end
+
+    test "refuses unusable custom bags", %{game_pid: pid} do
+      {:error, :tile_bag_needs_vowel} =
+        GameServer.update_settings(pid, "player1", %{tile_set: "custom", custom_tiles: %{"T" => 30}})
+      {:error, :invalid_tile_bag} = GameServer.update_settings(pid, "player1", %{tile_set: "custom"})
+      
+      assert GameServer.get_game_state(pid).tile_set == "scrabble"
+    end
+
+    test "turns players away once the game is full", %{game_pid: pid} do
+      {:ok, _} = GameServer.update_settings(pid, "player1", %{max_players: 2})
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      
+      {:error, :game_full} = GameServer.join_player(pid, "player3", "Charlie")
+    end
+
+    test "passes the host on when the host leaves", %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, state} = GameServer.disconnect_player(pid, "player1")
+      
+      assert state.host_id == "player2"
+    end
+  end
+
+  describe "house word lists" do
+    setup %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      :ok
+    end
+
+    test "takes uploaded text as folded word lists", %{game_pid: pid} do
+      {:ok, state} = GameServer.update_settings(pid, "player1", %{banned_words: "Cat\nact, cat", allowed_words: "zyx"})
+      
+      assert GameServer.settings(state).banned_words == ["act", "cat"]
+      assert GameServer.settings(state).allowed_words == ["zyx"]
+      
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{banned_words: ["cat"]})
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{allowed_words: "r2d2"})
+    end
+
+    test "bans dictionary words and allows house words for this game only", %{game_pid: pid} do
+      {:ok, _} = GameServer.update_settings(pid, "player1", %{banned_words: "cat", allowed_words: "zyx"})
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: ~w[C A T X Y Z]} end)
+      
+      timestamp = System.system_time(:millisecond)
+      {:error, :banned_word} = GameServer.claim_word(pid, "player1", "cat", timestamp)
+      {:ok, state} = GameServer.claim_word(pid, "player1", "zyx", timestamp)
+      {:ok, _} = GameServer.claim_word(pid, "player2", "act", timestamp)
+      
+      assert List.first(state.players["player1"].words).word == "zyx"
+    end
+  end
+
+  describe "languages" do
+    test "fills the bag with the language's tiles" do
+      {:ok, pid} = GameServer.start_link("LANG" <> to_string(:rand.uniform(1000)), language: "es")
+      state = GameServer.get_game_state(pid)
+      
+      assert state.language == "es"
+      assert state.tile_distribution["Ñ"] == 1
+      assert "LL" in Map.keys(state.tile_distribution)
+      assert length(state.tile_bag) == 98
+    end
+
+    test "keeps English-only presets out of other languages" do
+      {:ok, pid} = GameServer.start_link("LANG" <> to_string(:rand.uniform(1000)), language: "de")
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      
+      {:error, :invalid_setting} = GameServer.update_settings(pid, "player1", %{tile_set: "bananagrams"})
+      {:ok, state} = GameServer.update_settings(pid, "player1", %{tile_set: "double"})
+      assert state.tile_distribution["Ü"] == 2
+    end
+  end
+
+  describe "spectators" do
+    test "are tracked separately from players", %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, state} = GameServer.add_spectator(pid, "watcher1")
+      
+      assert MapSet.member?(state.spectators, "watcher1")
+      assert map_size(state.players) == 1
+      assert state.status == :lobby
+    end
+
+    test "can leave again", %{game_pid: pid} do
+      {:ok, _} = GameServer.add_spectator(pid, "watcher1")
+      {:ok, _} = GameServer.add_spectator(pid, "watcher2")
+      {:ok, state} = GameServer.remove_spectator(pid, "watcher1")
+      
+      assert MapSet.to_list(state.spectators) == ["watcher2"]
     end
   end
 
@@ -55,27 +201,28 @@ defmodule CutthroatAnagrams.GameServerTest do
     setup %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       :ok
     end
 
     test "allows current player to flip tiles", %{game_pid: pid} do
-      {:ok, tile, state} = GameServer.flip_tile(pid, "player2")
+      {:ok, tile, state} = GameServer.flip_tile(pid, "player1")
       
       assert tile in ~w[C A T B R M E D S L U N]
       assert tile in state.flipped_tiles
       assert length(state.flipped_tiles) == 1
-      assert state.current_turn == "player1"  # Turn rotated
+      assert state.current_turn == "player2"  # Turn rotated
     end
 
     test "prevents non-current player from flipping", %{game_pid: pid} do
-      {:error, :not_your_turn} = GameServer.flip_tile(pid, "player1")
+      {:error, :not_your_turn} = GameServer.flip_tile(pid, "player2")
     end
 
     test "handles empty tile bag", %{game_pid: pid} do
       # Exhaust all tiles
       :sys.replace_state(pid, fn state -> %{state | tile_bag: []} end)
       
-      {:error, :no_tiles_left} = GameServer.flip_tile(pid, "player2")
+      {:error, :no_tiles_left} = GameServer.flip_tile(pid, "player1")
     end
   end
 
@@ -83,6 +230,7 @@ defmodule CutthroatAnagrams.GameServerTest do
     setup %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       
       # Set up known flipped tiles: C, A, T
       :sys.replace_state(pid, fn state ->
@@ -139,6 +287,7 @@ defmodule CutthroatAnagrams.GameServerTest do
     setup %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       
       # Alice claims "cat" first
       :sys.replace_state(pid, fn state ->
@@ -207,6 +356,24 @@ defmodule CutthroatAnagrams.GameServerTest do
       {:error, :invalid_steal} = GameServer.steal_word(pid, "player2", "dream", from_players, timestamp)
     end
 
+    test "scores steals with the game's steal bonus", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | steal_bonus: 2} end)
+      timestamp = System.system_time(:millisecond)
+      
+      {:ok, state} = GameServer.steal_word(pid, "player2", "cart", %{"player1" => [0]}, timestamp)
+      
+      assert state.players["player2"].score == 6
+      assert state.players["player1"].score == -2
+    end
+
+    test "applies the game's steal rules", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | steal_rules: "anything_goes"} end)
+      timestamp = System.system_time(:millisecond)
+      
+      {:ok, state} = GameServer.steal_word(pid, "player2", "cats", %{"player1" => [0]}, timestamp)
+      assert List.first(state.players["player2"].words).word == "cats"
+    end
+
     test "allows complex rearrangements with new letters", %{game_pid: pid} do
       # Set up more letters for a complex steal - "scar" from "cat" + "s" + "r"
       timestamp = System.system_time(:millisecond)
@@ -220,11 +387,399 @@ defmodule CutthroatAnagrams.GameServerTest do
     end
   end
 
+  describe "claim arbitration" do
+    setup %{game_pid: pid, game_id: game_id} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      
+      :sys.replace_state(pid, fn state ->
+        %{state | flipped_tiles: ["C", "A", "T"], arbitration_window_ms: 20, tie_tolerance_ms: 50}
+      end)
+      
+      Phoenix.PubSub.subscribe(CutthroatAnagrams.PubSub, GameServer.topic(game_id))
+      :ok
+    end
+
+    test "applies a lone claim once the window closes", %{game_pid: pid} do
+      assert {:ok, :pending} = GameServer.submit_claim(pid, "player1", %{word: "cat"})
+      
+      assert_receive {:claims_resolved, [result], state}
+      assert result.player_id == "player1"
+      assert result.result == :ok
+      assert result.coin_flip == nil
+      assert List.first(state.players["player1"].words).word == "cat"
+      assert state.pending_claims == []
+    end
+
+    test "settles competing claims inside the tolerance with a coin flip", %{game_pid: pid} do
+      {:ok, :pending} = GameServer.submit_claim(pid, "player1", %{word: "cat"})
+      {:ok, :pending} = GameServer.submit_claim(pid, "player2", %{word: "act"})
+      
+      assert_receive {:claims_resolved, results, state}
+      assert [winner] = Enum.filter(results, &(&1.result == :ok))
+      assert [loser] = Enum.filter(results, &match?({:error, _}, &1.result))
+      assert length(winner.coin_flip) == 2
+      assert loser.coin_flip == winner.coin_flip
+      assert length(state.players[winner.player_id].words) == 1
+      assert state.players[loser.player_id].words == []
+    end
+
+    test "goes by received order outside the tolerance", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | arbitration_window_ms: 50, tie_tolerance_ms: 0} end)
+      
+      {:ok, :pending} = GameServer.submit_claim(pid, "player1", %{word: "cat"})
+      Process.sleep(5)
+      {:ok, :pending} = GameServer.submit_claim(pid, "player2", %{word: "act"})
+      
+      assert_receive {:claims_resolved, [first, second], _state}
+      assert first.player_id == "player1"
+      assert first.result == :ok
+      assert first.coin_flip == nil
+      assert second.result == {:error, :invalid_tiles}
+    end
+
+    test "finds stolen words again after an earlier steal shifts them", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state ->
+        alice = %{state.players["player1"] | words: [
+          %{word: "cat", letters: ["C", "A", "T"], claimed_at: 123456},
+          %{word: "tea", letters: ["T", "E", "A"], claimed_at: 123457}
+        ]}
+        %{state | players: Map.put(state.players, "player1", alice), flipped_tiles: ["R", "S"]}
+      end)
+      
+      {:ok, :pending} = GameServer.submit_claim(pid, "player2", %{word: "cart", from_players: %{"player1" => [0]}})
+      {:ok, :pending} = GameServer.submit_claim(pid, "player2", %{word: "east", from_players: %{"player1" => [1]}})
+      
+      assert_receive {:claims_resolved, [cart, east], state}
+      assert cart.result == :ok
+      assert east.result == :ok
+      assert east.from_players == %{"player1" => [0]}
+      assert Enum.map(state.players["player2"].words, & &1.word) == ["cart", "east"]
+      assert state.players["player1"].words == []
+    end
+
+    test "rejects a steal whose word was already taken in the window", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state ->
+        alice = %{state.players["player1"] | words: [%{word: "cat", letters: ["C", "A", "T"], claimed_at: 123456}]}
+        %{state | players: Map.put(state.players, "player1", alice), flipped_tiles: ["R", "S"], tie_tolerance_ms: 0}
+      end)
+      
+      {:ok, :pending} = GameServer.submit_claim(pid, "player2", %{word: "cart", from_players: %{"player1" => [0]}})
+      Process.sleep(5)
+      {:ok, :pending} = GameServer.submit_claim(pid, "player1", %{word: "scat", from_players: %{"player1" => [0]}})
+      
+      assert_receive {:claims_resolved, [cart, scat], _state}
+      assert cart.result == :ok
+      assert scat.result == {:error, :word_already_stolen}
+    end
+
+    test "refuses claims before the game starts", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | status: :waiting} end)
+      
+      assert {:error, :game_not_started} = GameServer.submit_claim(pid, "player1", %{word: "cat"})
+    end
+  end
+
+  describe "auto flip" do
+    setup %{game_pid: pid, game_id: game_id} do
+      :sys.replace_state(pid, fn state -> %{state | auto_flip_ms: 50} end)
+      
+      Phoenix.PubSub.subscribe(CutthroatAnagrams.PubSub, GameServer.topic(game_id))
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      :ok
+    end
+
+    test "flips for the current player when the countdown runs out" do
+      assert_receive {:tile_flipped, "C", state}, 500
+      assert state.flipped_tiles == ["C"]
+      assert state.current_turn == "player2"  # Turn rotated
+      assert GameServer.auto_flip_remaining_ms(state) > 0
+    end
+
+    test "flips even when the current player has gone", %{game_pid: pid} do
+      {:ok, _} = GameServer.disconnect_player(pid, "player1")
+      
+      assert_receive {:tile_flipped, "C", state}, 500
+      assert state.current_turn == "player2"
+    end
+
+    test "stops while nobody is connected", %{game_pid: pid} do
+      {:ok, _} = GameServer.disconnect_player(pid, "player1")
+      {:ok, _} = GameServer.disconnect_player(pid, "player2")
+      
+      refute_receive {:tile_flipped, _, _}, 200
+      assert GameServer.get_game_state(pid).flipped_tiles == []
+    end
+
+    test "restarts the countdown on a claim", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | auto_flip_ms: 1000, flipped_tiles: ["C", "A", "T"]} end)
+      {:ok, before} = GameServer.hold_auto_flip(pid, "player1")
+      Process.sleep(20)
+      
+      {:ok, state} = GameServer.claim_word(pid, "player1", "cat", System.system_time(:millisecond))
+      
+      assert state.auto_flip.deadline > before.auto_flip.deadline
+    end
+
+    test "a hold gives at most confirmation_ms, once per player", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | auto_flip_ms: 1000, confirmation_ms: 300} end)
+      
+      {:ok, held} = GameServer.hold_auto_flip(pid, "player1")
+      assert GameServer.auto_flip_remaining_ms(held) <= 300
+      Process.sleep(20)
+      
+      # Re-pushes and other players can't stack holds on top of it
+      {:ok, state} = GameServer.hold_auto_flip(pid, "player1")
+      assert state.auto_flip.deadline == held.auto_flip.deadline
+      {:ok, state} = GameServer.hold_auto_flip(pid, "player2")
+      assert state.auto_flip.deadline == held.auto_flip.deadline
+      
+      # Once it's released the next player may hold, but not the first again
+      {:ok, _} = GameServer.release_auto_flip(pid, "player1")
+      {:ok, state} = GameServer.hold_auto_flip(pid, "player2")
+      assert state.flip_hold.player_id == "player2"
+      {:ok, _} = GameServer.release_auto_flip(pid, "player2")
+      {:ok, state} = GameServer.hold_auto_flip(pid, "player1")
+      assert state.flip_hold == nil
+    end
+
+    test "stops once the game ends", %{game_pid: pid} do
+      {:ok, state} = GameServer.end_game(pid)
+      
+      assert GameServer.auto_flip_remaining_ms(state) == nil
+      refute_receive {:tile_flipped, _, _}, 200
+    end
+  end
+
+  describe "blitz" do
+    setup %{game_pid: pid, game_id: game_id} do
+      Phoenix.PubSub.subscribe(CutthroatAnagrams.PubSub, GameServer.topic(game_id))
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.update_settings(pid, "player1", %{blitz_minutes: 3})
+      {:ok, state} = GameServer.start_game(pid, "player1")
+      {:ok, state: state}
+    end
+
+    test "runs a game clock and a faster auto-flip", %{state: state} do
+      assert GameServer.game_clock_remaining_ms(state) > 170_000
+      assert GameServer.auto_flip_remaining_ms(state) <= 5_000
+    end
+
+    test "ends the game when the clock runs out", %{game_pid: pid} do
+      send(pid, :game_clock_expired)
+      
+      assert_receive {:game_ended, state}, 500
+      assert state.status == :finished
+      assert state.ended_by == :time_up
+      assert GameServer.game_clock_remaining_ms(state) == nil
+    end
+
+    test "stops the clock when the game ends early", %{game_pid: pid} do
+      {:ok, state} = GameServer.end_game(pid)
+      
+      assert GameServer.game_clock_remaining_ms(state) == nil
+      refute_receive {:game_ended, _}, 100
+    end
+  end
+
+  describe "teams" do
+    setup %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _, _} = GameServer.join_player(pid, "player3", "Charlie")
+      {:ok, state} = GameServer.update_settings(pid, "player1", %{teams: 2, steal_bonus: 2})
+      {:ok, state: state}
+    end
+
+    test "deals players out and lets the host move them", %{game_pid: pid, state: state} do
+      assert Enum.map(["player1", "player2", "player3"], &state.players[&1].team) == [1, 2, 1]
+      
+      {:ok, state} = GameServer.assign_team(pid, "player1", "player3", 2)
+      assert state.players["player3"].team == 2
+      
+      {:error, :not_host} = GameServer.assign_team(pid, "player2", "player3", 1)
+      {:error, :invalid_team} = GameServer.assign_team(pid, "player1", "player3", 3)
+      {:error, :player_not_found} = GameServer.assign_team(pid, "player1", "nobody", 1)
+    end
+
+    test "puts newcomers on the smallest team", %{game_pid: pid} do
+      {:ok, state, _} = GameServer.join_player(pid, "player4", "Dana")
+      assert state.players["player4"].team == 2
+    end
+
+    test "won't start with an empty team", %{game_pid: pid} do
+      {:ok, _} = GameServer.update_settings(pid, "player1", %{teams: 4})
+      {:error, :empty_team} = GameServer.start_game(pid, "player1")
+    end
+
+    test "treats taking a teammate's word as a rearrangement", %{game_pid: pid} do
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      give_word(pid, "player1", "cat")
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: ["R"]} end)
+      
+      {:ok, state} = GameServer.steal_word(pid, "player3", "cart", %{"player1" => [0]}, System.system_time(:millisecond))
+      
+      assert state.players["player3"].score == 4
+      assert state.players["player1"].score == 0
+    end
+
+    test "can count a teammate's word as a steal", %{game_pid: pid} do
+      {:ok, _} = GameServer.update_settings(pid, "player1", %{teammate_steals: "steal"})
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      give_word(pid, "player1", "cat")
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: ["R"]} end)
+      
+      {:ok, state} = GameServer.steal_word(pid, "player3", "cart", %{"player1" => [0]}, System.system_time(:millisecond))
+      
+      assert state.players["player3"].score == 6
+      assert state.players["player1"].score == -2
+    end
+
+    test "ranks teams in the final scores", %{game_pid: pid} do
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      give_word(pid, "player1", "cat")
+      give_word(pid, "player3", "bed")
+      give_word(pid, "player2", "smell")
+      
+      {:ok, state} = GameServer.end_game(pid)
+      
+      assert [%{team: 1, score: 6} = winner, %{team: 2, score: 5}] = state.final_scores
+      assert Enum.map(winner.players, & &1.player_name) |> Enum.sort() == ["Alice", "Charlie"]
+      assert state.winner == winner
+    end
+  end
+
+  describe "challenges" do
+    setup %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _, _} = GameServer.join_player(pid, "player3", "Charlie")
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: ~w[C A T S]} end)
+      
+      {:ok, state} = GameServer.claim_word(pid, "player1", "cat", System.system_time(:millisecond))
+      {:ok, cat_id: hd(state.players["player1"].words).id}
+    end
+
+    test "a majority of the other players revokes a claim", %{game_pid: pid, cat_id: cat_id} do
+      {:ok, state, nil} = GameServer.challenge_word(pid, "player2", cat_id)
+      assert state.challenge.voters |> Enum.sort() == ["player2", "player3"]
+      
+      {:ok, state, result} = GameServer.vote_on_challenge(pid, "player3", true)
+      
+      assert result.revoked
+      assert result.word == "cat"
+      assert state.challenge == nil
+      assert state.players["player1"].words == []
+      assert state.players["player1"].score == 0
+      assert Enum.sort(state.flipped_tiles) == ~w[A C S T]
+    end
+
+    test "revoking a steal gives the stolen word back", %{game_pid: pid, cat_id: cat_id} do
+      {:ok, state} = GameServer.steal_word(pid, "player2", "cast", %{"player1" => [0]}, System.system_time(:millisecond))
+      cast_id = hd(state.players["player2"].words).id
+      
+      {:ok, _, nil} = GameServer.challenge_word(pid, "player3", cast_id)
+      {:ok, state, %{revoked: true}} = GameServer.vote_on_challenge(pid, "player1", true)
+      
+      assert [%{id: ^cat_id, word: "cat"}] = state.players["player1"].words
+      assert state.players["player1"].times_stolen == 0
+      assert state.players["player2"].words == []
+      assert state.players["player2"].steals == 0
+      assert state.flipped_tiles == ["S"]
+    end
+
+    test "the word stands if the vote goes against it", %{game_pid: pid, cat_id: cat_id} do
+      {:ok, _, nil} = GameServer.challenge_word(pid, "player2", cat_id)
+      {:error, :not_a_voter} = GameServer.vote_on_challenge(pid, "player1", false)
+      {:ok, state, result} = GameServer.vote_on_challenge(pid, "player3", false)
+      
+      refute result.revoked
+      assert result.votes_against == 1
+      assert length(state.players["player1"].words) == 1
+    end
+
+    test "one challenge at a time, and not of your own word", %{game_pid: pid, cat_id: cat_id} do
+      {:error, :own_word} = GameServer.challenge_word(pid, "player1", cat_id)
+      {:error, :word_not_found} = GameServer.challenge_word(pid, "player2", 999)
+      {:ok, _, nil} = GameServer.challenge_word(pid, "player2", cat_id)
+      {:error, :challenge_in_progress} = GameServer.challenge_word(pid, "player3", cat_id)
+    end
+  end
+
+  describe "challenges with two players" do
+    setup %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: ~w[C A T S]} end)
+      
+      {:ok, state} = GameServer.claim_word(pid, "player1", "cat", System.system_time(:millisecond))
+      {:ok, cat_id: hd(state.players["player1"].words).id}
+    end
+
+    test "needs someone besides the challenger to vote", %{game_pid: pid, cat_id: cat_id} do
+      assert {:error, :no_voters} = GameServer.challenge_word(pid, "player2", cat_id)
+      
+      state = GameServer.get_game_state(pid)
+      assert state.challenge == nil
+      assert [%{word: "cat"}] = state.players["player1"].words
+    end
+  end
+
+  describe "undoing a claim" do
+    setup %{game_pid: pid} do
+      {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
+      {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: ~w[C X A T S]} end)
+      
+      {:ok, _} = GameServer.claim_word(pid, "player1", "cat", System.system_time(:millisecond))
+      :ok
+    end
+
+    test "puts the tiles back where they were", %{game_pid: pid} do
+      {:ok, state, "cat"} = GameServer.undo_claim(pid, "player1")
+      
+      assert state.players["player1"].words == []
+      assert state.players["player1"].score == 0
+      assert state.flipped_tiles == ~w[C X A T S]
+      assert {:error, :nothing_to_undo} = GameServer.undo_claim(pid, "player1")
+    end
+
+    test "gives a stolen word back to its owner where they had it", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | flipped_tiles: state.flipped_tiles ++ ~w[D O G]} end)
+      {:ok, _} = GameServer.claim_word(pid, "player1", "dog", System.system_time(:millisecond))
+      {:ok, before} = GameServer.steal_word(pid, "player2", "cast", %{"player1" => [0]}, System.system_time(:millisecond))
+      assert before.players["player1"].times_stolen == 1
+      
+      {:ok, state, "cast"} = GameServer.undo_claim(pid, "player2")
+      
+      assert Enum.map(state.players["player1"].words, & &1.word) == ["cat", "dog"]
+      assert state.players["player1"].times_stolen == 0
+      assert state.players["player2"].words == []
+      assert state.players["player2"].steals == 0
+      assert state.flipped_tiles == ~w[X S]
+    end
+
+    test "only the claimer's latest word, and only until the next flip", %{game_pid: pid} do
+      assert {:error, :nothing_to_undo} = GameServer.undo_claim(pid, "player2")
+      
+      {:ok, _, _} = GameServer.flip_tile(pid, "player1")
+      assert {:error, :nothing_to_undo} = GameServer.undo_claim(pid, "player1")
+    end
+  end
+
   describe "multiple player interactions" do
     setup %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
       {:ok, _, _} = GameServer.join_player(pid, "player3", "Charlie")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       
       # Set up a scenario with multiple words
       :sys.replace_state(pid, fn state ->
@@ -299,6 +854,7 @@ defmodule CutthroatAnagrams.GameServerTest do
     setup %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       
       # Alice has "cat"
       :sys.replace_state(pid, fn state ->
@@ -337,6 +893,7 @@ defmodule CutthroatAnagrams.GameServerTest do
     setup %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       
       # Set up final scores
       :sys.replace_state(pid, fn state ->
@@ -387,6 +944,18 @@ defmodule CutthroatAnagrams.GameServerTest do
       # Winner should be Alice
       assert final_state.winner.player_name == "Alice"
     end
+
+    test "ranks by the game's scoring mode", %{game_pid: pid} do
+      :sys.replace_state(pid, fn state -> %{state | scoring: "long_words"} end)
+      
+      {:ok, final_state} = GameServer.end_game(pid)
+      
+      # Alice's two 3-letter words are worth 1 each, Bob's CART 2 - a tie
+      alice = Enum.find(final_state.final_scores, &(&1.player_name == "Alice"))
+      assert Enum.map(alice.words, & &1.points) == [1, 1]
+      assert Enum.map(final_state.final_scores, & &1.score) == [2, 2]
+      assert length(final_state.winner) == 2
+    end
   end
 
   describe "edge cases and error handling" do
@@ -401,6 +970,7 @@ defmodule CutthroatAnagrams.GameServerTest do
     test "handles concurrent word claims", %{game_pid: pid} do
       {:ok, _, _} = GameServer.join_player(pid, "player1", "Alice")
       {:ok, _, _} = GameServer.join_player(pid, "player2", "Bob")
+      {:ok, _} = GameServer.start_game(pid, "player1")
       
       :sys.replace_state(pid, fn state ->
         %{state | flipped_tiles: ["C", "A", "T"]}
@@ -420,4 +990,14 @@ defmodule CutthroatAnagrams.GameServerTest do
       assert {result1, result2} |> Tuple.to_list() |> Enum.count(&match?({:error, _}, &1)) == 1
     end
   end
-end
\ No newline at end of file
+
+  defp give_word(pid, player_id, word) do
+    :sys.replace_state(pid, fn state ->
+      letters = word |> String.upcase() |> String.graphemes()
+      players = Map.update!(state.players, player_id, fn player ->
+        %{player | words: player.words ++ [%{word: word, letters: letters, claimed_at: 0}], score: player.score + length(letters)}
+      end)
+      %{state | players: players}
+    end)
+  end
+end
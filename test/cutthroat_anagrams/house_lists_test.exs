@@ -0,0 +1,36 @@
+defmodule CutthroatAnagrams.HouseListsTest do
+  use ExUnit.Case, async: true
+  alias CutthroatAnagrams.HouseLists
+
+  describe "parse/2" do
+    test "splits on lines, spaces and commas and folds each word" do
+      assert HouseLists.parse("Zorp\nblarg, ZORP;  Café", "en") == ["blarg", "cafe", "zorp"]
+    end
+
+    test "keeps the language's own letters" do
+      assert HouseLists.parse("AÑO", "es") == ["año"]
+    end
+  end
+
+  describe "valid?/2" do
+    test "wants text spelled with the language's tiles" do
+      assert HouseLists.valid?("zorp\nblarg", "en")
+      assert HouseLists.valid?("", "en")
+      refute HouseLists.valid?("r2d2", "en")
+      refute HouseLists.valid?("kilo", "es")
+      refute HouseLists.valid?(["zorp"], "en")
+    end
+
+    test "caps the list's length" do
+      refute HouseLists.valid?(String.duplicate("zorp ", 501), "en")
+    end
+  end
+
+  test "valid_word?/2 puts allowed words ahead of the dictionary" do
+    state = %{allowed_words: ["zorp"], banned_words: ["cat"], language: "en"}
+
+    assert HouseLists.valid_word?(state, "zorp")
+    refute HouseLists.valid_word?(state, "blarg")
+    assert HouseLists.banned?(state, "cat")
+  end
+end
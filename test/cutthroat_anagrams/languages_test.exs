@@ -0,0 +1,50 @@
+defmodule CutthroatAnagrams.LanguagesTest do
+  use ExUnit.Case, async: true
+  alias CutthroatAnagrams.Languages
+
+  describe "fold/2" do
+    test "drops accents the language has no tiles for" do
+      assert Languages.fold("Café", "fr") == "cafe"
+      assert Languages.fold("Canción", "es") == "cancion"
+    end
+
+    test "keeps letters that are tiles of their own" do
+      assert Languages.fold("AÑO", "es") == "año"
+      assert Languages.fold("Bär", "de") == "bär"
+      assert Languages.fold("año", "en") == "ano"
+    end
+
+    test "treats decomposed and composed letters alike" do
+      assert Languages.fold("año", "es") == "año"
+    end
+  end
+
+  describe "tiles/2" do
+    test "reads digraph tiles first" do
+      assert Languages.tiles("llorar", "es") == ["LL", "O", "R", "A", "R"]
+      assert Languages.tiles("perro", "es") == ["P", "E", "RR", "O"]
+      assert Languages.tiles("coche", "es") == ["C", "O", "CH", "E"]
+      assert Languages.tiles("ijs", "nl") == ["IJ", "S"]
+    end
+
+    test "spells ß as SS" do
+      assert Languages.tiles("Straße", "de") == ~w(S T R A S S E)
+    end
+
+    test "refuses letters the language has no tile for" do
+      assert Languages.tiles("kilo", "es") == nil
+      assert Languages.tiles("año", "en") == ~w(A N O)
+    end
+  end
+
+  test "every tile has a Scrabble value" do
+    for code <- Languages.codes() do
+      assert Languages.alphabet(code) |> Enum.sort() == Languages.letter_values(code) |> Map.keys() |> Enum.sort()
+    end
+  end
+
+  test "available?/1 wants a known language" do
+    assert Languages.available?("en")
+    refute Languages.available?("xx")
+  end
+end
@@ -0,0 +1,45 @@
+defmodule CutthroatAnagrams.ScoringTest do
+  use ExUnit.Case, async: true
+  alias CutthroatAnagrams.Scoring
+
+  defp word(text), do: %{word: text, letters: text |> String.upcase() |> String.graphemes()}
+
+  describe "word_points/3" do
+    test "counts letters" do
+      assert Scoring.word_points(word("cart"), "letters") == 4
+    end
+
+    test "charges a base per word in long_words mode" do
+      assert Scoring.word_points(word("cat"), "long_words") == 1
+      assert Scoring.word_points(word("carts"), "long_words") == 3
+    end
+
+    test "uses Scrabble letter values" do
+      assert Scoring.word_points(word("quiz"), "scrabble") == 22
+    end
+
+    test "uses the game language's letter values, digraph tiles included" do
+      # CH 5 + U 1 + LL 8 + O 1
+      chullo = %{word: "chullo", letters: ["CH", "U", "LL", "O"]}
+      assert Scoring.word_points(chullo, "scrabble", "es") == 15
+      assert Scoring.word_points(%{word: "año", letters: ["A", "Ñ", "O"]}, "scrabble", "es") == 10
+    end
+  end
+
+  describe "breakdown/2" do
+    test "scores each word and applies steal bonuses and penalties" do
+      player = %{words: [word("cart"), word("zest")], steals: 2, times_stolen: 1}
+      breakdown = Scoring.breakdown(player, %{scoring: "letters", steal_bonus: 3})
+
+      assert Enum.map(breakdown.words, & &1.points) == [4, 4]
+      assert breakdown.steal_bonus == 6
+      assert breakdown.stolen_penalty == 3
+      assert breakdown.total == 11
+    end
+
+    test "treats players without steal counts as having none" do
+      breakdown = Scoring.breakdown(%{words: [word("cat")]}, %{scoring: "letters", steal_bonus: 2})
+      assert breakdown.total == 3
+    end
+  end
+end
@@ -0,0 +1,62 @@
+defmodule CutthroatAnagrams.StealRulesTest do
+  use ExUnit.Case, async: true
+  alias CutthroatAnagrams.StealRules
+
+  describe "check/3" do
+    test "requires at least one tile from the pool" do
+      assert {:error, :must_add_letter} = StealRules.check("act", ["cat"], [])
+    end
+
+    test "rejects simple suffixes" do
+      assert {:error, :invalid_transformation} = StealRules.check("cats", ["cat"], ["S"])
+      assert {:error, :invalid_transformation} = StealRules.check("rated", ["rat"], ["E", "D"])
+    end
+
+    test "rejects plain extensions of the stolen word" do
+      assert {:error, :invalid_transformation} = StealRules.check("catch", ["cat"], ["C", "H"])
+    end
+
+    test "rejects obvious suffixes even with 3+ new tiles" do
+      assert {:error, :invalid_transformation} = StealRules.check("rating", ["rat"], ["I", "N", "G"])
+    end
+
+    test "allows real rearrangements" do
+      assert :ok = StealRules.check("cast", ["cat"], ["S"])
+      assert :ok = StealRules.check("trace", ["cat"], ["R", "E"])
+    end
+
+    test "rejects a shared root under the strict rules" do
+      assert {:error, :same_root} = StealRules.check("rerun", ["run"], ["R", "E"], rule_set: "strict")
+      assert {:error, :same_root} = StealRules.check("runner", ["rerun"], ["N"], rule_set: "strict")
+      assert :ok = StealRules.check("rerun", ["run"], ["R", "E"])
+      assert :ok = StealRules.check("tracer", ["crate"], ["R"], rule_set: "strict")
+    end
+
+    test "lets anything through but an empty steal when anything goes" do
+      assert :ok = StealRules.check("cats", ["cat"], ["S"], rule_set: "anything_goes")
+      assert {:error, :must_add_letter} = StealRules.check("act", ["cat"], [], rule_set: "anything_goes")
+    end
+  end
+
+  describe "roots/2" do
+    setup do
+      words = MapSet.new(~w(cat catty run rerun running party parties rate rat rating kind unkind))
+      {:ok, is_word: &MapSet.member?(words, &1)}
+    end
+
+    test "strips prefixes and suffixes down to dictionary words", %{is_word: is_word} do
+      assert StealRules.roots("rerunning", is_word) == MapSet.new(~w(rerunning running rerun run))
+      assert MapSet.member?(StealRules.roots("unkind", is_word), "kind")
+    end
+
+    test "undoes a suffix's spelling changes", %{is_word: is_word} do
+      assert MapSet.member?(StealRules.roots("catty", is_word), "cat")
+      assert MapSet.member?(StealRules.roots("parties", is_word), "party")
+      assert MapSet.member?(StealRules.roots("rating", is_word), "rate")
+    end
+
+    test "keeps words with no root of their own", %{is_word: is_word} do
+      assert StealRules.roots("trace", is_word) == MapSet.new(["trace"])
+    end
+  end
+end
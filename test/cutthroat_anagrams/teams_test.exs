@@ -0,0 +1,73 @@
+defmodule CutthroatAnagrams.TeamsTest do
+  use ExUnit.Case, async: true
+  alias CutthroatAnagrams.Teams
+
+  defp player(id, joined_at, team \\ nil), do: %{id: id, joined_at: joined_at, team: team}
+
+  defp players(list), do: Map.new(list, &{&1.id, &1})
+
+  describe "deal/2" do
+    test "deals players round the teams in the order they joined" do
+      dealt = Teams.deal(players([player("c", 3), player("a", 1), player("b", 2)]), 2)
+
+      assert dealt["a"].team == 1
+      assert dealt["b"].team == 2
+      assert dealt["c"].team == 1
+    end
+
+    test "clears teams when there are none" do
+      dealt = Teams.deal(players([player("a", 1, 2)]), 0)
+      assert dealt["a"].team == nil
+    end
+  end
+
+  describe "smallest_team/2" do
+    test "picks the team with fewest players, lowest first" do
+      assert Teams.smallest_team(players([player("a", 1, 1)]), 2) == 2
+      assert Teams.smallest_team(players([player("a", 1, 1), player("b", 2, 2)]), 2) == 1
+      assert Teams.smallest_team(%{}, 0) == nil
+    end
+  end
+
+  describe "counts_as_steal?/3" do
+    setup do
+      {:ok, players: players([player("a", 1, 1), player("b", 2, 1), player("c", 3, 2)])}
+    end
+
+    test "doesn't count taking a teammate's word as a rearrangement", %{players: players} do
+      state = %{players: players, teammate_steals: "rearrange"}
+
+      refute Teams.counts_as_steal?(state, "a", "b")
+      refute Teams.counts_as_steal?(state, "a", "a")
+      assert Teams.counts_as_steal?(state, "a", "c")
+    end
+
+    test "counts every steal under the steal rule", %{players: players} do
+      assert Teams.counts_as_steal?(%{players: players, teammate_steals: "steal"}, "a", "b")
+    end
+
+    test "counts every steal without teams" do
+      state = %{players: players([player("a", 1), player("b", 2)]), teammate_steals: "rearrange"}
+      assert Teams.counts_as_steal?(state, "a", "b")
+    end
+  end
+
+  test "all_filled?/2 wants someone on every team" do
+    refute Teams.all_filled?(players([player("a", 1, 1), player("b", 2, 1)]), 2)
+    assert Teams.all_filled?(players([player("a", 1, 1), player("b", 2, 2)]), 2)
+  end
+
+  test "standings/1 adds up each team's players, best first" do
+    score = fn id, team, points ->
+      %{player_id: id, team: team, words: [], score: points, steal_bonus: 0, stolen_penalty: 0, total_letters: points, word_count: 1}
+    end
+
+    [first, second] = Teams.standings([score.("a", 1, 4), score.("b", 2, 5), score.("c", 1, 3)])
+
+    assert first.team == 1
+    assert first.score == 7
+    assert first.word_count == 2
+    assert Enum.map(first.players, & &1.player_id) == ["a", "c"]
+    assert second.score == 5
+  end
+end
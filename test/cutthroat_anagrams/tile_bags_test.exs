@@ -0,0 +1,63 @@
+defmodule CutthroatAnagrams.TileBagsTest do
+  use ExUnit.Case, async: true
+  alias CutthroatAnagrams.TileBags
+
+  describe "distribution/3" do
+    test "looks up presets" do
+      {:ok, bananagrams} = TileBags.distribution("bananagrams", nil)
+      assert bananagrams |> Map.values() |> Enum.sum() == 144
+    end
+
+    test "refuses unknown presets" do
+      assert {:error, :invalid_setting} = TileBags.distribution("jumbo", nil)
+    end
+
+    test "upper-cases custom letters" do
+      assert {:ok, %{"E" => 12, "R" => 10}} = TileBags.distribution("custom", %{"e" => 12, "r" => 10})
+    end
+
+    test "uses the language's own tile set" do
+      {:ok, spanish} = TileBags.distribution("scrabble", nil, "es")
+      assert spanish["Ñ"] == 1
+      assert spanish["LL"] == 1
+      refute Map.has_key?(spanish, "K")
+
+      {:ok, double} = TileBags.distribution("double", nil, "es")
+      assert double["Ñ"] == 2
+    end
+
+    test "keeps the English-only presets to English" do
+      assert {:error, :invalid_setting} = TileBags.distribution("bananagrams", nil, "fr")
+    end
+  end
+
+  describe "validate/2" do
+    test "needs a vowel" do
+      assert {:error, :tile_bag_needs_vowel} = TileBags.validate(%{"T" => 30})
+    end
+
+    test "keeps the bag between the size limits" do
+      assert {:error, :tile_bag_too_small} = TileBags.validate(%{"A" => 5})
+      assert {:error, :tile_bag_too_large} = TileBags.validate(%{"A" => 50, "B" => 50, "C" => 50, "D" => 50, "E" => 50, "F" => 50, "G" => 50, "H" => 50, "I" => 50})
+    end
+
+    test "refuses anything but single letters with whole counts" do
+      assert {:error, :invalid_tile_bag} = TileBags.validate(%{"AB" => 20, "E" => 5})
+      assert {:error, :invalid_tile_bag} = TileBags.validate(%{"A" => "lots"})
+      assert {:error, :invalid_tile_bag} = TileBags.validate(%{"A" => -1, "E" => 30})
+      assert {:error, :invalid_tile_bag} = TileBags.validate([])
+    end
+
+    test "takes the language's letters, digraphs and vowels" do
+      assert :ok = TileBags.validate(%{"ñ" => 5, "ll" => 5, "A" => 10}, "es")
+      assert {:error, :invalid_tile_bag} = TileBags.validate(%{"Ñ" => 5, "A" => 20})
+      assert {:error, :tile_bag_needs_vowel} = TileBags.validate(%{"Y" => 30})
+      assert :ok = TileBags.validate(%{"Y" => 30}, "fr")
+    end
+  end
+
+  test "fill/1 puts every tile in the bag" do
+    bag = TileBags.fill(%{"A" => 2, "B" => 1})
+    assert Enum.sort(bag) == ["A", "A", "B"]
+  end
+end
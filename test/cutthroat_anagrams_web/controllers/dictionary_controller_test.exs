@@ -0,0 +1,29 @@
+defmodule CutthroatAnagramsWeb.DictionaryControllerTest do
+  use CutthroatAnagramsWeb.ConnCase
+
+  test "GET /dictionary serves the front-coded word list", %{conn: conn} do
+    conn = get(conn, ~p"/dictionary")
+
+    assert conn.status == 200
+    assert [etag] = get_resp_header(conn, "etag")
+    assert etag != ""
+
+    words = conn.resp_body |> String.split("\n") |> Enum.take(3)
+    assert words == ["0aa", "2h", "3ed"]
+  end
+
+  test "GET /dictionary returns 304 for a matching ETag", %{conn: conn} do
+    [etag] = conn |> get(~p"/dictionary") |> get_resp_header("etag")
+
+    conn =
+      build_conn()
+      |> put_req_header("if-none-match", etag)
+      |> get(~p"/dictionary")
+
+    assert conn.status == 304
+  end
+
+  test "GET /dictionary returns 404 for an unknown language", %{conn: conn} do
+    assert conn |> get(~p"/dictionary?lang=xx") |> response(404)
+  end
+end